@@ -0,0 +1,48 @@
+import { readFileSync } from 'node:fs';
+
+const pkg = JSON.parse(readFileSync(new URL('./package.json', import.meta.url), 'utf8'));
+const banner = `/*! ${pkg.name} v${pkg.version} | ${pkg.license} License */`;
+
+// D3 stays a dependency: imported by the ES module build, and read from the
+// `d3` global (the full D3 bundle) by the UMD build.
+const d3Modules = Object.keys(pkg.dependencies).filter(name => name.startsWith('d3-'));
+const external = id => d3Modules.includes(id);
+
+// Imports stylesheets as strings, for the custom element's shadow root.
+const cssString = () => ({
+    name: 'css-string',
+    transform(code, id) {
+        return id.endsWith('.css') ? { code: `export default ${JSON.stringify(code)};`, map: null } : null;
+    }
+});
+
+// Copies the stylesheet and spot icon next to the bundles. Only dist/ is
+// published, since src/element.js imports styles.css, which only the
+// css-string plugin above can resolve.
+const copyAssets = () => ({
+    name: 'copy-assets',
+    generateBundle() {
+        ['styles.css', 'spot.svg'].forEach(fileName => this.emitFile({
+            type: 'asset',
+            fileName,
+            source: readFileSync(new URL(`./src/${fileName}`, import.meta.url), 'utf8')
+        }));
+    }
+});
+
+export default [
+    {
+        input: 'src/index.js',
+        external,
+        plugins: [cssString(), copyAssets()],
+        output: { file: pkg.module, format: 'es', banner }
+    },
+    // pkg.main ends in .cjs: the package is "type": "module", so Node would
+    // load a .js file as an ES module and skip the UMD's CommonJS branch.
+    {
+        input: 'src/umd.js',
+        external,
+        plugins: [cssString()],
+        output: { file: pkg.main, format: 'umd', name: 'PriceChart', exports: 'default', globals: Object.fromEntries(d3Modules.map(name => [name, 'd3'])), banner }
+    }
+];
@@ -1,3 +1,24 @@
+import * as d3 from './d3.js';
+
+// Suffix for the element IDs of charts whose container has no ID.
+let nextChartId = 0;
+
+// Colour options from before themes, still honoured as theme overrides.
+const LEGACY_COLOR_OPTIONS = {
+    SPOT_COLOR: ['spot'],
+    SELECTED_SPOT_COLOR: ['selectedSpot'],
+    TREND_LINE_COLOR: ['trendLine'],
+    TREND_BAND_COLOR: ['trendBand'],
+    OUTLIER_COLOR: ['outlier'],
+    BIN_COLORS: ['binLow', 'binHigh']
+};
+
+// Outline of the pin icon (28x42) marking the current vehicle and point annotations.
+const PIN_PATH = 'M14 0C6.2 0 0 6.51 0 14.7C0 27.3 14 42 14 42C14 42 28 27.09 28 14.7C28 6.51 21.8 0 14 0Z';
+
+// Name of the CSS custom property for a theme colour, e.g. 'trendLine' -> '--price-chart-trend-line'.
+const themeProperty = name => `--price-chart-${name.replace(/[A-Z]/g, char => `-${char.toLowerCase()}`)}`;
+
 /**
  * PriceChart - A highly customizable and responsive chart for visualizing vehicle price trends.
  * 
@@ -17,17 +38,31 @@ class PriceChart {
      */
     static DEFAULT_CONFIG = {
         SPOT_RADIUS: 6.5,
-        SPOT_COLOR: 'rgba(57, 110, 255, 0.31)',
-        SELECTED_SPOT_COLOR: '#628CFF',
-        TREND_LINE_COLOR: '#396EFF',
         TREND_LINE_WIDTH: 6,
+        SERIES_COLORS: ['#396EFF', '#FF8A3D', '#17A05D', '#A25DDC', '#E5484D', '#00A3BF'],
+        SERIES_SPOT_OPACITY: 0.31,
+        SERIES_BAND_OPACITY: 0.12,
+        HIT_RADIUS: 12,
+        BIN_SIZE: 18,
         ANIMATION_DURATION: 1.5,
-        MIN_PRICE: 1200,
-        MAX_PRICE: 2100,
-        MIN_MILEAGE: 2,
-        MAX_MILEAGE: 25,
-        PRICE_STEP: 200,
-        MILEAGE_STEPS: [0, 5, 10, 15, 20, 25],
+        TRANSITION_DURATION: 750,
+        PLOT_PADDING_TOP: 3,
+        PLOT_PADDING_RIGHT: 10,
+        PLOT_PADDING_BOTTOM: 14.5,
+        theme: 'auto',
+        minPrice: null,
+        maxPrice: null,
+        minMileage: null,
+        maxMileage: null,
+        mileageSteps: null,
+        priceTickCount: 5,
+        mileageTickCount: 6,
+        zeroBaseline: true,
+        locale: null,
+        mileageUnit: null,
+        mileageScale: 1,
+        displayMileageUnit: 'mi',
+        displayMileageScale: 1000,
         title: 'Estimated Vehicle Price',
         modelName: '2014 4WD KV300',
         yAxisUnit: 'k',
@@ -36,416 +71,3846 @@ class PriceChart {
         xAxisFormat: (value) => value === 0 ? '0' : `${value}`,
         tooltipPriceFormat: (value) => `${Math.floor(value / 1000)}`,
         tooltipMileageFormat: (value) => value.toFixed(1),
-        rangeFormat: (min, max) => `${Math.floor(min / 1000)} ~ ${Math.ceil(max / 1000)}`
+        xAxisType: 'linear',
+        xAccessor: null,
+        dateLocale: undefined,
+        xAxisDateFormat: null,
+        tooltipDateFormat: (date, locale) => date.toLocaleDateString(locale, { year: 'numeric', month: 'short', day: 'numeric' }),
+        rangeFormat: (min, max) => `${Math.floor(min / 1000)} ~ ${Math.ceil(max / 1000)}`,
+        depreciationFormat: (value) => `${Math.round(value / 10) / 100}`,
+        errorMessage: 'Price data could not be loaded.',
+        emptyMessage: 'No price data available.',
+        selectOnClick: false,
+        displayMode: 'scatter',
+        binCountLabel: (count) => `${count} vehicles`,
+        binMedianLabel: 'Median',
+        renderer: 'auto',
+        canvasThreshold: 2000,
+        maxPoints: null,
+        liveRenderInterval: 250,
+        brush: null,
+        zoom: false,
+        zoomExtent: [1, 20],
+        resetZoomLabel: 'Reset zoom',
+        trendModel: { type: 'polynomial', degree: 2 },
+        robustFit: false,
+        outlierDetection: null,
+        outlierLabel: 'Outlier',
+        dataTableLabels: { series: 'Series', price: 'Price', mileage: 'Mileage', date: 'Date' },
+        trendBand: null,
+        priceRangeSource: 'data',
+        showDealRating: false,
+        dealRatingLabels: { great: 'Great deal', fair: 'Fair price', high: 'Above market' },
+        showStatistics: false,
+        statisticsLabels: { count: 'Listings', median: 'Median', quartiles: 'Middle 50%', depreciation: 'Depreciation', percentile: 'Price rank' },
+        annotations: []
+    };
+
+    /**
+     * Built-in locale presets, selected with the `locale` option. Each sets
+     * the text, units and price divisor for the locale; numbers are formatted
+     * with `Intl.NumberFormat`. Options passed to the chart override them,
+     * and presets for other locales can be added to this object; a preset
+     * without `priceDivisor` shows prices as stored.
+     * 
+     * @static
+     * @type {Object<string, Object>}
+     */
+    static LOCALES = {
+        'en-US': {
+            title: 'Estimated Vehicle Price',
+            yAxisUnit: 'k',
+            xAxisUnit: 'k mi',
+            priceDivisor: 1000,
+            displayMileageUnit: 'mi',
+            displayMileageScale: 1000,
+            errorMessage: 'Price data could not be loaded.',
+            emptyMessage: 'No price data available.',
+            binCountLabel: (count) => `${count} vehicles`,
+            binMedianLabel: 'Median',
+            resetZoomLabel: 'Reset zoom',
+            outlierLabel: 'Outlier',
+            dataTableLabels: { series: 'Series', price: 'Price', mileage: 'Mileage', date: 'Date' },
+            dealRatingLabels: { great: 'Great deal', fair: 'Fair price', high: 'Above market' },
+            statisticsLabels: { count: 'Listings', median: 'Median', quartiles: 'Middle 50%', depreciation: 'Depreciation', percentile: 'Price rank' }
+        },
+        'ko-KR': {
+            title: '내차 예상시세',
+            yAxisUnit: '만원',
+            xAxisUnit: '만km',
+            priceDivisor: 10000,
+            displayMileageUnit: 'km',
+            displayMileageScale: 10000,
+            errorMessage: '시세 정보를 불러오지 못했습니다.',
+            emptyMessage: '시세 정보가 없습니다.',
+            binCountLabel: (count) => `${count}대`,
+            binMedianLabel: '중간값',
+            resetZoomLabel: '확대 초기화',
+            outlierLabel: '이상치',
+            dataTableLabels: { series: '시리즈', price: '가격', mileage: '주행거리', date: '날짜' },
+            dealRatingLabels: { great: '저렴한 가격', fair: '적정 가격', high: '높은 가격' },
+            statisticsLabels: { count: '매물 수', median: '중간값', quartiles: '중간 50%', depreciation: '감가', percentile: '가격 순위' }
+        },
+        'ja-JP': {
+            title: '推定車両価格',
+            yAxisUnit: '万円',
+            xAxisUnit: '万km',
+            priceDivisor: 10000,
+            displayMileageUnit: 'km',
+            displayMileageScale: 10000,
+            errorMessage: '価格データを読み込めませんでした。',
+            emptyMessage: '価格データがありません。',
+            binCountLabel: (count) => `${count}台`,
+            binMedianLabel: '中央値',
+            resetZoomLabel: 'ズームをリセット',
+            outlierLabel: '外れ値',
+            dataTableLabels: { series: 'シリーズ', price: '価格', mileage: '走行距離', date: '日付' },
+            dealRatingLabels: { great: 'お買い得', fair: '適正価格', high: '相場より高い' },
+            statisticsLabels: { count: '台数', median: '中央値', quartiles: '中央50%', depreciation: '減価', percentile: '価格順位' }
+        }
+    };
+
+    /**
+     * Built-in colour themes, selected with the `theme` option or setTheme().
+     * Each colour is applied as a CSS custom property on the chart container
+     * (`trendLine` becomes `--price-chart-trend-line`), and styles.css colours
+     * everything through those properties. The `light` and `dark` values
+     * mirror the stylesheet's, which the browser chart uses; keep them in step.
+     * Themes for other brands can be added to this object.
+     * 
+     * @static
+     * @type {Object<string, Object<string, string>>}
+     */
+    static THEMES = {
+        light: {
+            background: '#FFFFFF',
+            surface: '#FFFFFF',
+            title: '#272E40',
+            text: '#434A54',
+            mutedText: '#869AB7',
+            axisLabel: '#B0C3DB',
+            grid: '#CDDBF5',
+            border: '#CCD4DF',
+            shadow: 'rgba(0, 0, 0, 0.1)',
+            focus: '#222222',
+            accent: '#396EFF',
+            spot: 'rgba(57, 110, 255, 0.31)',
+            selectedSpot: '#628CFF',
+            trendLine: '#396EFF',
+            trendBand: 'rgba(57, 110, 255, 0.12)',
+            outlier: '#E5484D',
+            annotation: '#FF8A3D',
+            error: '#E5484D',
+            binLow: '#E3EBFF',
+            binHigh: '#396EFF',
+            great: '#17A05D',
+            greatBackground: '#E3F6EC',
+            fair: '#396EFF',
+            fairBackground: '#EAF0FF',
+            high: '#E5484D',
+            highBackground: '#FDECEC'
+        },
+        dark: {
+            background: '#151A23',
+            surface: '#222A37',
+            title: '#F1F4F9',
+            text: '#D5DCE6',
+            mutedText: '#8A97AB',
+            axisLabel: '#66748A',
+            grid: '#2B3443',
+            border: '#3A4556',
+            shadow: 'rgba(0, 0, 0, 0.4)',
+            focus: '#F1F4F9',
+            accent: '#6F95FF',
+            spot: 'rgba(111, 149, 255, 0.38)',
+            selectedSpot: '#8FAEFF',
+            trendLine: '#6F95FF',
+            trendBand: 'rgba(111, 149, 255, 0.16)',
+            outlier: '#FF6B70',
+            annotation: '#FFA366',
+            error: '#FF6B70',
+            binLow: '#1E2940',
+            binHigh: '#6F95FF',
+            great: '#4CD490',
+            greatBackground: 'rgba(76, 212, 144, 0.16)',
+            fair: '#6F95FF',
+            fairBackground: 'rgba(111, 149, 255, 0.16)',
+            high: '#FF6B70',
+            highBackground: 'rgba(255, 107, 112, 0.16)'
+        }
+    };
+
+    /**
+     * Kilometres per mileage unit, for converting between `mileageUnit` and
+     * `displayMileageUnit`.
+     * 
+     * @static
+     * @type {Object<string, number>}
+     */
+    static KM_PER_UNIT = { km: 1, mi: 1.609344 };
+
+    /**
+     * Geometry of the chart's HTML parts, mirroring styles.css, so the layout
+     * can be computed from the container size alone. Fractions are of the
+     * container height unless noted; the rest are pixels. Keep in step with
+     * the stylesheet.
+     * 
+     * @static
+     * @type {Object<string, number>}
+     */
+    static LAYOUT = {
+        headerTop: 0.0787,
+        titleBaseline: 55,
+        rangeBaseline: 120,
+        legendTop: 0.317,
+        legendRight: 0.0321,
+        graphTop: 0.4041,
+        graphHeight: 0.553,
+        plotHeight: 0.9353, // of the graph height
+        plotLeft: 80,
+        yAxisLabelPadding: 10,
+        xAxisTickHeight: 10,
+        xAxisLabelBaseline: 30,
+        annotationIconWidth: 20,
+        annotationIconHeight: 30,
+        annotationFontSize: 13,
+        annotationGap: 4
     };
 
+    /**
+     * Event types that can be subscribed to with `on()`.
+     * 
+     * - `spotHover`: (point, event, series) when the pointer enters a spot, (null, event) when it leaves
+     * - `spotClick`: (point, event, series) when a spot is clicked
+     * - `currentPointChange`: (point, previousPoint) when the highlighted point changes
+     * - `seriesToggle`: (series, visible) when a series is shown or hidden
+     * - `rangeSelect`: (selection) when a range is brushed or set with setSelection(), (null) when it is cleared
+     * - `rendered`: (chart) after every render
+     * - `error`: (error) when loading the data or the first render fails; the chart shows `errorMessage`
+     * 
+     * @static
+     * @type {Array<string>}
+     */
+    static EVENTS = ['spotHover', 'spotClick', 'currentPointChange', 'seriesToggle', 'rangeSelect', 'rendered', 'error'];
+
     /**
      * Creates an instance of PriceChart.
      * 
+     * Data can be supplied inline (`pricePoints`/`currentPoint`), fetched from
+     * `dataUrl`, or resolved by an async `dataProvider`. Inline data wins over a
+     * provider, and a provider wins over a URL.
+     * 
      * @param {Object} options - Configuration options for the chart
-     * @param {string} options.containerId - ID of the container element
+     * @param {string} [options.containerId] - ID of the container element
+     * @param {HTMLElement} [options.container] - Container element, instead of containerId (e.g. inside a shadow root)
      * @param {Object} [options.config] - Custom configuration to override defaults
+     * @param {Array<Object>} [options.pricePoints] - Inline price points ({ mileage, price })
+     * @param {Array<Object>} [options.series] - Inline named series ({ id, name, color, pricePoints }), instead of pricePoints
+     * @param {Object} [options.currentPoint] - Inline point to highlight as the current vehicle
+     * @param {string} [options.dataUrl] - URL of a JSON file in the documented data format
+     * @param {Function} [options.dataProvider] - Async function resolving with { pricePoints | series, currentPoint }
+     * @param {string} [options.spotSvgUrl] - URL of the SVG used for the selected spot marker
      */
     constructor(options) {
-        this.container = document.getElementById(options.containerId);
+        this.container = options.container || document.getElementById(options.containerId);
         if (!this.container) {
             throw new Error(`Container with id "${options.containerId}" not found`);
         }
 
-        this.config = { ...PriceChart.DEFAULT_CONFIG, ...options.config };
-        this.initialize();
+        this.options = options;
+        this.chartId = this.container.id || `price-chart-${++nextChartId}`;
+        this.initializeState(options.config);
+        this.handleResize = () => {
+            if (this.resizeFrame === null) {
+                this.resizeFrame = requestAnimationFrame(() => {
+                    this.resizeFrame = null;
+                    this.render();
+                });
+            }
+        };
+
+        this.handleColorSchemeChange = () => {
+            this.applyTheme();
+            this.render({ refit: false });
+        };
+
+        this.handleOutsidePointer = (event) => {
+            // composedPath() sees through shadow roots, where event.target is the host.
+            if (this.touchedPoint && !event.composedPath().includes(this.container)) {
+                this.endTouchInspect(event);
+            }
+        };
+
+        /**
+         * Resolves once the data has loaded and the first render has finished.
+         * 
+         * @type {Promise<void>}
+         */
+        this.ready = this.initialize();
+    }
+
+    /**
+     * Renders a static chart to an SVG string without a browser DOM, e.g. in
+     * Node for emails, social images or PDFs. The layout is computed from
+     * `width` and `height` with the same code the browser chart uses, so the
+     * result matches it; interactive parts (tooltips, brush, zoom controls)
+     * are left out and the selected-spot pulse is drawn as a static halo.
+     * 
+     * @public
+     * @static
+     * @param {Object} data - Chart data, as accepted by `setData()`
+     * @param {Object} [config] - Configuration options
+     * @param {Object} [size] - Output size in pixels
+     * @param {number} [size.width=500] - Width
+     * @param {number} [size.height=839] - Height
+     * @returns {string} SVG markup
+     * @throws {Error} If the data is invalid
+     */
+    static renderToSVGString(data, config = {}, { width = 500, height = 839 } = {}) {
+        const chart = Object.create(PriceChart.prototype);
+        chart.options = {};
+        chart.container = null;
+        chart.initializeState(config);
+        chart.applyData(chart.validateData(data));
+        chart.currentPoint = data.currentPoint || null;
+        chart.preprocess();
+        return chart.renderStaticSVG(width, height);
+    }
+
+    /**
+     * Sets up the chart's state, shared by browser and headless charts.
+     * 
+     * @private
+     * @param {Object} [config] - Configuration options
+     */
+    initializeState(config) {
+        this.userConfig = { ...config };
+        this.config = this.resolveConfig(this.userConfig);
+        this.series = null;
+        this.pricePoints = null;
+        this.outliers = new Map();
+        this.rejectedPoints = [];
+        this.hasReportedRejected = false;
+        this.domainWarnings = new Set();
+        this.currentPoint = null;
+        this.hiddenSeries = new Set();
+        this.selection = null;
+        this.zoomBehavior = null;
+        this.zoomTransform = d3.zoomIdentity;
+        this.zoomFrame = null;
+        this.isChartInitialized = false;
+        this.isDestroyed = false;
+        this.listeners = {};
+        this.quadtree = null;
+        this.hoveredItem = null;
+        this.focusedItem = null;
+        this.touchedPoint = null;
+        this.resizeFrame = null;
+        this.layout = null;
+        this.themeProperties = [];
+        this.annotationIcons = new Map();
+        this.regressions = new Map();
+        this.pointKeys = new WeakMap();
+        this.nextPointKey = 0;
+        this.liveRenderTimer = null;
+        this.lastLiveRender = 0;
+        this.colorSchemeQuery = typeof window !== 'undefined' && typeof window.matchMedia === 'function'
+            ? window.matchMedia('(prefers-color-scheme: dark)')
+            : null;
     }
 
     /**
      * Initializes the chart by loading data and SVG, then rendering.
+     * Shows an error state instead of the chart if loading fails, and an
+     * empty state if the data source has no points.
      * 
      * @private
      */
     async initialize() {
+        // Loading errors and errors from the first render (e.g. an unknown
+        // trendModel or theme) show the error state instead of rejecting `ready`.
         try {
-            const [data, spotSvg] = await Promise.all([this.loadData(), this.loadSpotSVG()]);
-            this.pricePoints = data.pricePoints;
+            let data;
+            [data, this.spotSvg] = await Promise.all([this.loadData(), this.loadSpotSVG()]);
+            if (this.isDestroyed) {
+                return;
+            }
+
+            // Data passed to setData() while loading takes precedence over the source.
+            if (!this.series) {
+                this.applyData(data);
+                this.currentPoint = data.currentPoint || null;
+            }
+            this.refresh(false);
+        } catch (error) {
+            console.error('Failed to load or render chart:', error);
+            if (!this.isDestroyed) {
+                this.isChartInitialized = false;
+                this.renderMessage('error', this.config.errorMessage);
+                this.emit('error', error);
+            }
+        }
+        if (this.isDestroyed) {
+            return;
+        }
+
+        // Registered even after an error, so a chart recovered with setData()
+        // or updateConfig() still follows resizes and colour scheme changes.
+        window.addEventListener('resize', this.handleResize);
+        document.addEventListener('pointerdown', this.handleOutsidePointer);
+        if (this.colorSchemeQuery) {
+            this.colorSchemeQuery.addEventListener('change', this.handleColorSchemeChange);
+        }
+    }
+
+    /**
+     * Replaces the plotted data and animates the chart to it.
+     * 
+     * @public
+     * @param {Object} data - New chart data
+     * @param {Array<Object>} [data.pricePoints] - Price points ({ mileage, price })
+     * @param {Array<Object>} [data.series] - Named series ({ id, name, color, pricePoints }), instead of pricePoints
+     * @param {Object} [data.currentPoint] - Point to highlight; keeps the current one if omitted
+     */
+    setData(data) {
+        this.applyData(this.validateData(data));
+        if (data.currentPoint !== undefined) {
             this.currentPoint = data.currentPoint;
-            this.spotSvg = spotSvg;
-            this.initializeChart();
+        }
+        this.refresh(true);
+    }
+
+    /**
+     * Appends points to a series, e.g. sale results as they arrive over a
+     * socket, without reloading the chart. Renders are throttled to one per
+     * `liveRenderInterval`, so a burst of points costs a single render. New
+     * spots grow in where they land, a polynomial trend is refitted by
+     * updating its previous sums (see fitIncrementalTrend()), and with
+     * `maxPoints` the oldest points of the series are dropped.
+     * 
+     * @public
+     * @param {Object|Array<Object>} points - Point or points to add
+     * @param {Object} [options] - Options
+     * @param {string} [options.series] - ID of the series to add to; the first series if omitted
+     * @throws {Error} If the data has not loaded yet or the series does not exist
+     */
+    addPoints(points, { series: id } = {}) {
+        if (!this.series) {
+            throw new Error('Cannot add points before the chart data has loaded');
+        }
+        const series = id === undefined ? this.series[0] : this.series.find(s => s.id === String(id));
+        if (!series) {
+            throw new Error(`Unknown series "${id}". Expected one of: ${this.series.map(s => s.id).join(', ')}`);
+        }
+
+        const added = [].concat(points);
+        // Key the series' spots by point from now on, so they stay with their
+        // points when the window drops the oldest ones.
+        [...series.pricePoints, ...added].forEach(point => {
+            if (point && typeof point === 'object' && !this.pointKeys.has(point)) {
+                this.pointKeys.set(point, `p${++this.nextPointKey}`);
+            }
+        });
+        series.pricePoints = series.pricePoints.concat(added);
+        this.scheduleLiveRender();
+    }
+
+    /**
+     * Refreshes the chart after addPoints(), at most once per
+     * `liveRenderInterval` milliseconds: the first call renders on the next
+     * task and later calls within the interval wait for its end.
+     * 
+     * @private
+     */
+    scheduleLiveRender() {
+        if (this.liveRenderTimer !== null) {
+            return;
+        }
+        const delay = Math.max(0, this.lastLiveRender + this.config.liveRenderInterval - Date.now());
+        this.liveRenderTimer = setTimeout(() => {
+            this.liveRenderTimer = null;
+            this.lastLiveRender = Date.now();
+            this.refresh(true);
+        }, delay);
+    }
+
+    /**
+     * Shows or hides a series.
+     * 
+     * @public
+     * @param {string|number} id - Series ID; numbers match the string IDs series are normalized to
+     * @param {boolean} [visible] - Whether to show the series; toggles if omitted
+     */
+    toggleSeries(id, visible) {
+        const series = this.series && this.series.find(s => s.id === String(id));
+        if (!series) {
+            throw new Error(`Series "${id}" not found`);
+        }
+
+        const show = visible ?? this.hiddenSeries.has(series.id);
+        if (show === !this.hiddenSeries.has(series.id)) {
+            return;
+        }
+        if (show) {
+            this.hiddenSeries.delete(series.id);
+        } else {
+            this.hiddenSeries.add(series.id);
+        }
+        this.refresh(true);
+        this.emit('seriesToggle', series, show);
+    }
+
+    /**
+     * Highlights a different point as the current vehicle.
+     * 
+     * @public
+     * @param {Object|null} point - Point to highlight, or null to clear the marker
+     */
+    setCurrentPoint(point) {
+        const previousPoint = this.currentPoint;
+        this.currentPoint = point;
+        this.refresh(true);
+        // A reloaded copy of the same listing is not a change.
+        const isSame = point && previousPoint ? this.isSamePoint(point, previousPoint) : point === previousPoint;
+        if (!isSame) {
+            this.emit('currentPointChange', point, previousPoint);
+        }
+    }
+
+    /**
+     * Replaces the annotations: labelled pins at points, horizontal lines at
+     * prices and vertical lines at mileages (or dates), as described under
+     * the `annotations` option.
+     * 
+     * @public
+     * @param {Array<Object>} annotations - Annotations to draw
+     */
+    setAnnotations(annotations) {
+        this.updateConfig({ annotations });
+    }
+
+    /**
+     * Selects the points within a mileage (or date) range and, optionally, a
+     * price range, the same way a brush gesture does: points outside are
+     * dimmed and a summary of the selection is shown. Emits `rangeSelect`.
+     * 
+     * @public
+     * @param {Object|null} selection - Selection to apply, or null to clear it
+     * @param {Array<number|Date>} selection.x - Lower and upper X value
+     * @param {Array<number>} [selection.price] - Lower and upper price; any price if omitted
+     */
+    setSelection(selection) {
+        this.selection = selection && {
+            x: d3.extent(selection.x, value => this.toXValue(value)),
+            price: selection.price ? d3.extent(selection.price) : null
+        };
+        if (this.isChartInitialized) {
             this.render();
-            window.addEventListener('resize', () => this.render());
-        } catch (error) {
-            console.error('Failed to initialize chart:', error);
+        }
+        this.emit('rangeSelect', this.getSelection());
+    }
+
+    /**
+     * Describes the current selection and the visible points inside it.
+     * 
+     * @public
+     * @returns {Object|null} `{ x, price, points, count, medianPrice, minPrice, maxPrice }`,
+     *     or null when nothing is selected
+     */
+    getSelection() {
+        if (!this.selection) {
+            return null;
+        }
+
+        const points = this.series
+            ? this.getVisibleSeries().flatMap(series => series.points).filter(point => this.isInSelection(point))
+            : [];
+        const [minPrice, maxPrice] = d3.extent(points, p => p.price);
+        return {
+            x: this.selection.x.slice(),
+            price: this.selection.price && this.selection.price.slice(),
+            points,
+            count: points.length,
+            medianPrice: d3.median(points, p => p.price),
+            minPrice,
+            maxPrice
+        };
+    }
+
+    /**
+     * Returns the plot to the full data range after zooming or panning.
+     * 
+     * @public
+     */
+    resetZoom() {
+        if (this.zoomBehavior) {
+            const plotArea = this.container.querySelector('.price-chart__plot-area');
+            d3.select(plotArea).call(this.zoomBehavior.transform, d3.zoomIdentity);
+        } else {
+            this.zoomTransform = d3.zoomIdentity;
+            if (this.isChartInitialized) {
+                this.render();
+            }
         }
     }
 
     /**
-     * Loads price data from a JSON file or generates random data if file is not found.
+     * Checks whether a point lies inside the current selection.
      * 
      * @private
-     * @returns {Promise<Object>} Resolved with price points and current point
+     * @param {Object} point - Price point
+     * @returns {boolean} Whether the point is selected
      */
-    async loadData() {
-        try {
-            const response = await fetch('./../data/sample_data.json');
-            const data = await response.json();
-            console.log('Loaded data:', data);
-            return data;
-        } catch (error) {
-            console.error('Error loading data:', error);
-            const pricePoints = this.generatePricePoints();
-            return {
-                pricePoints,
-                currentPoint: this.selectRandomPoint(pricePoints)
-            };
+    isInSelection(point) {
+        const { x, price } = this.selection;
+        const value = this.getX(point);
+        return value >= x[0] && value <= x[1] && (!price || (point.price >= price[0] && point.price <= price[1]));
+    }
+
+    /**
+     * Subscribes to a chart event. See `PriceChart.EVENTS` for the event types
+     * and the arguments passed to handlers.
+     * 
+     * @public
+     * @param {string} type - Event type
+     * @param {Function} handler - Handler to call when the event fires
+     * @returns {PriceChart} The chart, for chaining
+     * @throws {Error} If the event type is unknown
+     */
+    on(type, handler) {
+        if (!PriceChart.EVENTS.includes(type)) {
+            throw new Error(`Unknown event "${type}". Expected one of: ${PriceChart.EVENTS.join(', ')}`);
         }
+        (this.listeners[type] = this.listeners[type] || []).push(handler);
+        return this;
     }
 
     /**
-     * Initializes the chart structure by creating necessary DOM elements.
+     * Unsubscribes a handler added with `on()`.
+     * 
+     * @public
+     * @param {string} type - Event type
+     * @param {Function} handler - Handler to remove
+     * @returns {PriceChart} The chart, for chaining
+     */
+    off(type, handler) {
+        if (this.listeners[type]) {
+            this.listeners[type] = this.listeners[type].filter(h => h !== handler);
+        }
+        return this;
+    }
+
+    /**
+     * Calls every handler subscribed to an event. A throwing handler is
+     * logged and does not stop the others or the chart.
      * 
      * @private
+     * @param {string} type - Event type
+     * @param {...*} args - Arguments passed to the handlers
      */
-    initializeChart() {
-        this.container.classList.add('price-chart');
-        this.container.innerHTML = `
-            <div class="price-chart__content">
-                <div class="price-chart__header">
-                    <h1 class="price-chart__title">${this.config.title}</h1>
-                    <div class="price-chart__range"></div>
-                    <div class="price-chart__unit">${this.config.yAxisUnit}</div>
-                </div>
-                <div class="price-chart__model-info">
-                    <div class="price-chart__model-icon"></div>
-                    <div class="price-chart__model-name">${this.config.modelName}</div>
-                </div>
-                <div class="price-chart__graph">
-                    <div class="price-chart__y-axis"></div>
-                    <div class="price-chart__x-axis"></div>
-                    <div class="price-chart__plot-area">
-                        <svg class="price-chart__trend-line"></svg>
-                    </div>
-                </div>
-            </div>
-        `;
+    emit(type, ...args) {
+        (this.listeners[type] || []).forEach(handler => {
+            try {
+                handler(...args);
+            } catch (error) {
+                console.error(`Error in "${type}" handler:`, error);
+            }
+        });
+    }
+
+    /**
+     * Merges new configuration into the current one and re-renders.
+     * 
+     * @public
+     * @param {Object} config - Configuration to merge over the current one
+     */
+    updateConfig(config) {
+        this.userConfig = { ...this.userConfig, ...config };
+        this.config = this.resolveConfig(this.userConfig);
+        if (this.isChartInitialized) {
+            this.updateHeader();
+            this.container.classList.toggle('price-chart--selectable', this.config.selectOnClick);
+            this.container.classList.toggle('price-chart--statistics', this.config.showStatistics);
+            this.applyTheme();
+        }
+        this.refresh(true);
+    }
+
+    /**
+     * Switches the colour theme: 'light', 'dark', 'auto' to follow the
+     * system's `prefers-color-scheme`, the name of a theme added to
+     * `PriceChart.THEMES`, or an object of colours to override, with an
+     * optional `base` theme name (default 'auto').
+     * 
+     * @public
+     * @param {string|Object} theme - Theme name or colour overrides
+     * @throws {Error} If the theme name is unknown
+     */
+    setTheme(theme) {
+        const base = typeof theme === 'string' ? theme : (theme && theme.base) || 'auto';
+        if (base !== 'auto' && !PriceChart.THEMES[base]) {
+            throw new Error(`Unknown theme "${base}". Expected 'auto' or one of: ${Object.keys(PriceChart.THEMES).join(', ')}`);
+        }
+        this.updateConfig({ theme });
+    }
+
+    /**
+     * Resolves the current theme to its base theme name and colours. Colours
+     * set with CSS custom properties in a stylesheet are not included.
+     * 
+     * @public
+     * @returns {{name: string, colors: Object<string, string>}} Theme
+     * @throws {Error} If the theme name is unknown
+     */
+    getTheme() {
+        const { theme } = this.config;
+        const { base = 'auto', ...overrides } = typeof theme === 'string' ? { base: theme } : (theme || {});
+        const name = base === 'auto' ? (this.colorSchemeQuery && this.colorSchemeQuery.matches ? 'dark' : 'light') : base;
+        if (!PriceChart.THEMES[name]) {
+            throw new Error(`Unknown theme "${name}". Expected 'auto' or one of: ${Object.keys(PriceChart.THEMES).join(', ')}`);
+        }
+
+        const legacy = {};
+        Object.entries(LEGACY_COLOR_OPTIONS).forEach(([option, names]) => {
+            if (this.userConfig[option] != null) {
+                [].concat(this.userConfig[option]).forEach((color, i) => (legacy[names[i]] = color));
+            }
+        });
+        return { name, colors: { ...PriceChart.THEMES[name], ...legacy, ...overrides } };
+    }
+
+    /**
+     * Applies the current theme to the container. The built-in themes are
+     * classes whose colours come from styles.css, so stylesheets can still
+     * override them; colours from a custom theme or from overrides are set
+     * as inline custom properties.
+     * 
+     * @private
+     */
+    applyTheme() {
+        const { name, colors } = this.getTheme();
+        const builtIn = name === 'light' || name === 'dark' ? PriceChart.THEMES[name] : {};
+        this.container.classList.toggle('price-chart--dark', name === 'dark');
+
+        this.themeProperties.forEach(property => this.container.style.removeProperty(property));
+        this.themeProperties = Object.keys(colors)
+            .filter(key => colors[key] !== builtIn[key])
+            .map(key => {
+                const property = themeProperty(key);
+                this.container.style.setProperty(property, colors[key]);
+                return property;
+            });
+    }
+
+    /**
+     * Reads a theme colour as the browser resolves it, including overrides
+     * from stylesheets, for drawing that CSS cannot reach (canvas, bins).
+     * Falls back to the theme object without a container or stylesheet.
+     * 
+     * @private
+     * @param {string} name - Theme colour name
+     * @returns {string} Colour
+     */
+    getThemeColor(name) {
+        if (this.container) {
+            const value = getComputedStyle(this.container).getPropertyValue(themeProperty(name)).trim();
+            if (value) {
+                return value;
+            }
+        }
+        return this.getTheme().colors[name];
+    }
+
+    /**
+     * Builds the effective configuration: the defaults, then the preset for
+     * `locale` (if any), then the options passed to the chart.
+     * 
+     * @private
+     * @param {Object} config - Options passed to the chart
+     * @returns {Object} Effective configuration
+     */
+    resolveConfig(config) {
+        const locale = config.locale;
+        return {
+            ...PriceChart.DEFAULT_CONFIG,
+            ...(locale ? this.createLocaleConfig(locale) : {}),
+            ...config
+        };
+    }
+
+    /**
+     * Creates the configuration for a locale from its preset in
+     * `PriceChart.LOCALES`, falling back to a preset for the same language
+     * and then to 'en-US' text. Formatters use `Intl.NumberFormat` for the
+     * requested locale either way.
+     * 
+     * @private
+     * @param {string} locale - BCP 47 locale tag, e.g. 'ko-KR'
+     * @returns {Object} Locale configuration
+     */
+    createLocaleConfig(locale) {
+        const language = locale.split('-')[0];
+        const presetKey = PriceChart.LOCALES[locale] ? locale
+            : Object.keys(PriceChart.LOCALES).find(key => key.split('-')[0] === language) || 'en-US';
+        const { priceDivisor = 1, ...preset } = PriceChart.LOCALES[presetKey];
+
+        const integer = new Intl.NumberFormat(locale, { maximumFractionDigits: 0 });
+        const tick = new Intl.NumberFormat(locale, { maximumFractionDigits: 1 });
+        const decimal = new Intl.NumberFormat(locale, { minimumFractionDigits: 1, maximumFractionDigits: 1 });
+        const rate = new Intl.NumberFormat(locale, { maximumFractionDigits: 2 });
+        const price = value => integer.format(Math.floor(value / priceDivisor));
+
+        return {
+            ...preset,
+            dateLocale: locale,
+            yAxisFormat: price,
+            xAxisFormat: value => tick.format(value),
+            tooltipPriceFormat: price,
+            tooltipMileageFormat: value => decimal.format(value),
+            rangeFormat: (min, max) => `${price(min)} ~ ${integer.format(Math.ceil(max / priceDivisor))}`,
+            depreciationFormat: value => rate.format(value / priceDivisor)
+        };
+    }
+
+    /**
+     * Exports the chart as it is currently shown as a standalone SVG document.
+     * The HTML parts (header, legend, axes) are redrawn as SVG text and
+     * shapes at their on-screen positions, the plot SVG is copied in, and
+     * computed styles are inlined so the file needs no stylesheet. A canvas
+     * renderer's spots are embedded as an image.
+     * 
+     * @public
+     * @returns {string} SVG markup
+     * @throws {Error} If the chart has not been rendered
+     */
+    exportSVG() {
+        if (!this.isChartInitialized) {
+            throw new Error('Cannot export before the chart has been rendered');
+        }
+
+        const SVG_NS = 'http://www.w3.org/2000/svg';
+        const containerRect = this.container.getBoundingClientRect();
+        const width = this.container.clientWidth;
+        const height = this.container.clientHeight;
+        const root = document.createElementNS(SVG_NS, 'svg');
+        root.setAttribute('width', width);
+        root.setAttribute('height', height);
+        root.setAttribute('viewBox', `0 0 ${width} ${height}`);
+
+        const boxOf = element => {
+            const rect = element.getBoundingClientRect();
+            return { x: rect.left - containerRect.left, y: rect.top - containerRect.top, width: rect.width, height: rect.height };
+        };
+        const isTransparent = color => !color || color === 'transparent' || /rgba\(.*,\s*0\)$/.test(color);
+        const create = (name, attributes) => {
+            const node = document.createElementNS(SVG_NS, name);
+            Object.entries(attributes).forEach(([key, value]) => node.setAttribute(key, value));
+            return node;
+        };
+        const skipped = '.price-chart__tooltip, .price-chart__visually-hidden, .price-chart__zoom-reset';
+
+        const exportElement = (element) => {
+            const style = getComputedStyle(element);
+            if (element.matches(skipped) || element.hidden || style.display === 'none' || style.visibility === 'hidden') {
+                return;
+            }
+            const box = boxOf(element);
+
+            if (!isTransparent(style.backgroundColor)) {
+                root.appendChild(create('rect', {
+                    x: box.x, y: box.y, width: box.width, height: box.height,
+                    rx: parseFloat(style.borderTopLeftRadius) || 0,
+                    fill: style.backgroundColor
+                }));
+            }
+            ['Top', 'Right', 'Bottom', 'Left'].forEach(side => {
+                const borderWidth = parseFloat(style[`border${side}Width`]);
+                if (!borderWidth || style[`border${side}Style`] === 'none' || isTransparent(style[`border${side}Color`])) {
+                    return;
+                }
+                const x1 = side === 'Right' ? box.x + box.width : box.x;
+                const y1 = side === 'Bottom' ? box.y + box.height : box.y;
+                const isVertical = side === 'Left' || side === 'Right';
+                root.appendChild(create('line', {
+                    x1, y1,
+                    x2: isVertical ? x1 : box.x + box.width,
+                    y2: isVertical ? box.y + box.height : y1,
+                    stroke: style[`border${side}Color`],
+                    'stroke-width': borderWidth,
+                    'stroke-dasharray': style[`border${side}Style`] === 'dashed' ? '4,4' : 'none'
+                }));
+            });
+
+            Array.from(element.childNodes).forEach(child => {
+                if (child.nodeType === Node.TEXT_NODE && child.textContent.trim()) {
+                    const range = document.createRange();
+                    range.selectNodeContents(child);
+                    const rect = range.getBoundingClientRect ? range.getBoundingClientRect() : null;
+                    const textBox = rect && rect.width ? {
+                        x: rect.left - containerRect.left,
+                        y: rect.top - containerRect.top,
+                        height: rect.height
+                    } : box;
+                    const text = create('text', {
+                        x: textBox.x,
+                        y: textBox.y + textBox.height / 2,
+                        'dominant-baseline': 'central',
+                        fill: style.color,
+                        'font-family': style.fontFamily,
+                        'font-size': style.fontSize,
+                        'font-weight': style.fontWeight
+                    });
+                    text.textContent = child.textContent.trim();
+                    root.appendChild(text);
+                } else if (child.nodeType === Node.ELEMENT_NODE) {
+                    if (child.matches('.price-chart__canvas')) {
+                        const canvasBox = boxOf(child);
+                        root.appendChild(create('image', {
+                            x: canvasBox.x, y: canvasBox.y, width: canvasBox.width, height: canvasBox.height,
+                            href: child.toDataURL('image/png')
+                        }));
+                    } else if (child.matches('.price-chart__trend-line')) {
+                        root.appendChild(this.exportPlotSVG(child, boxOf(child)));
+                    } else {
+                        exportElement(child);
+                    }
+                }
+            });
+        };
+        exportElement(this.container.querySelector('.price-chart__content'));
+        exportElement(this.container.querySelector('.price-chart__statistics'));
+
+        return new XMLSerializer().serializeToString(root);
+    }
+
+    /**
+     * Copies the plot SVG for export: inlines the computed styles of every
+     * element, drops the brush handles and the marker's pulse animation, and
+     * places it at the plot's position.
+     * 
+     * @private
+     * @param {SVGSVGElement} svg - The plot SVG
+     * @param {Object} box - Its position and size within the container
+     * @returns {SVGSVGElement} Standalone copy
+     */
+    exportPlotSVG(svg, box) {
+        const copy = svg.cloneNode(true);
+        const properties = [
+            'display', 'visibility', 'opacity', 'fill', 'fill-opacity', 'stroke', 'stroke-width',
+            'stroke-opacity', 'stroke-dasharray', 'font-family', 'font-size', 'font-weight'
+        ];
+        const originals = [svg, ...svg.querySelectorAll('*')];
+        [copy, ...copy.querySelectorAll('*')].forEach((node, i) => {
+            const style = getComputedStyle(originals[i]);
+            node.setAttribute('style', properties
+                .map(property => `${property}: ${style.getPropertyValue(property)}`)
+                .filter(declaration => !/:\s*$/.test(declaration))
+                .join('; '));
+        });
+
+        copy.querySelectorAll('animate, .price-chart__brush .overlay, .price-chart__brush .handle')
+            .forEach(node => node.remove());
+        copy.removeAttribute('class');
+        copy.setAttribute('x', box.x);
+        copy.setAttribute('y', box.y);
+        copy.setAttribute('width', box.width);
+        copy.setAttribute('height', box.height);
+        copy.setAttribute('overflow', 'hidden');
+        return copy;
+    }
+
+    /**
+     * Exports the chart as a PNG image, rendered from `exportSVG()`.
+     * Web fonts are not embedded, so the system fallback font is used
+     * unless the font is installed.
+     * 
+     * @public
+     * @param {Object} [options] - Export options
+     * @param {number} [options.scale=2] - Pixel density of the image relative to the chart's size
+     * @returns {Promise<Blob>} PNG image
+     */
+    exportPNG({ scale = 2 } = {}) {
+        const markup = this.exportSVG();
+        const width = this.container.clientWidth;
+        const height = this.container.clientHeight;
+        const url = URL.createObjectURL(new Blob([markup], { type: 'image/svg+xml;charset=utf-8' }));
+
+        return new Promise((resolve, reject) => {
+            const image = new Image();
+            image.onload = () => {
+                const canvas = document.createElement('canvas');
+                canvas.width = Math.round(width * scale);
+                canvas.height = Math.round(height * scale);
+                const context = canvas.getContext('2d');
+                context.scale(scale, scale);
+                context.drawImage(image, 0, 0, width, height);
+                URL.revokeObjectURL(url);
+                canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('PNG encoding failed'))), 'image/png');
+            };
+            image.onerror = () => {
+                URL.revokeObjectURL(url);
+                reject(new Error('Failed to render the chart SVG for PNG export'));
+            };
+            image.src = url;
+        });
+    }
+
+    /**
+     * Exports the data behind the chart as CSV: every visible point with its
+     * series and the fitted trend price at its position, the trend line
+     * sampled across the axis (with the band, if configured), and the current
+     * point. Mileage is in the displayed unit; dates are ISO 8601.
+     * 
+     * @public
+     * @returns {string} CSV text with a header row
+     * @throws {Error} If no data has been loaded
+     */
+    exportCSV() {
+        if (!this.series) {
+            throw new Error('Cannot export before data has been loaded');
+        }
+
+        const isTime = this.config.xAxisType === 'time';
+        const formatX = value => (isTime ? new Date(value).toISOString() : value);
+        const escape = value => {
+            const text = value == null || (typeof value === 'number' && !Number.isFinite(value)) ? '' : String(value);
+            return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+        const fitOf = series => this.seriesTrends && this.seriesTrends.get(series.id);
+        const rows = [];
+
+        this.getVisibleSeries().forEach(series => {
+            const fit = fitOf(series);
+            series.points.forEach(point => {
+                const x = this.getX(point);
+                rows.push(['point', series.id, series.name, formatX(x), point.price, fit && fit.trend.predict(x), '', '']);
+            });
+        });
+
+        const range = this.getChartRange();
+        const step = (range.maxMileage - range.minMileage) / 99;
+        this.getVisibleSeries().forEach(series => {
+            const fit = fitOf(series);
+            if (!fit) {
+                return;
+            }
+            d3.range(100).map(i => range.minMileage + i * step).forEach(x => {
+                rows.push([
+                    'trend', series.id, series.name, formatX(x), '', fit.trend.predict(x),
+                    fit.band ? fit.band.lower(x) : '', fit.band ? fit.band.upper(x) : ''
+                ]);
+            });
+        });
+
+        if (this.currentPoint) {
+            const x = this.getX(this.currentPoint);
+            const estimate = this.estimatePrice(x);
+            const series = this.getPrimarySeries();
+            rows.push([
+                'current', series.id, series.name, formatX(x), this.currentPoint.price,
+                estimate && estimate.price, estimate && estimate.lower, estimate && estimate.upper
+            ]);
+        }
+
+        const header = ['type', 'series', 'seriesName', isTime ? 'date' : 'mileage', 'price', 'trendPrice', 'lower', 'upper'];
+        return [header, ...rows].map(row => row.map(escape).join(',')).join('\n');
+    }
+
+    /**
+     * Removes the chart's listeners and DOM. The instance cannot be reused.
+     * 
+     * @public
+     */
+    destroy() {
+        this.isDestroyed = true;
+        window.removeEventListener('resize', this.handleResize);
+        document.removeEventListener('pointerdown', this.handleOutsidePointer);
+        if (this.colorSchemeQuery) {
+            this.colorSchemeQuery.removeEventListener('change', this.handleColorSchemeChange);
+        }
+        if (this.resizeFrame !== null) {
+            cancelAnimationFrame(this.resizeFrame);
+            this.resizeFrame = null;
+        }
+        if (this.zoomFrame !== null) {
+            cancelAnimationFrame(this.zoomFrame);
+            this.zoomFrame = null;
+        }
+        if (this.liveRenderTimer !== null) {
+            clearTimeout(this.liveRenderTimer);
+            this.liveRenderTimer = null;
+        }
+        this.quadtree = null;
+        this.listeners = {};
+        d3.select(this.container).selectAll('*').interrupt();
+        this.container.innerHTML = '';
+        this.container.classList.remove('price-chart', 'price-chart--dark', 'price-chart--statistics');
+        this.themeProperties.forEach(property => this.container.style.removeProperty(property));
+        this.isChartInitialized = false;
+    }
+
+    /**
+     * Brings the DOM in line with the current state: builds the chart
+     * structure when needed, or shows the empty state when there are no points.
+     * Does nothing until data has been loaded or set.
+     * 
+     * @private
+     * @param {boolean} animate - Whether to transition from the previous render
+     */
+    refresh(animate) {
+        if (this.isDestroyed || !this.series) {
+            return;
+        }
+
+        this.preprocess();
+        if (this.pricePoints.length === 0) {
+            this.renderMessage('empty', this.config.emptyMessage);
+            this.isChartInitialized = false;
+            return;
+        }
+
+        if (!this.isChartInitialized) {
+            this.initializeChart();
+            this.isChartInitialized = true;
+            animate = false;
+        }
+        this.render({ animate });
+    }
+
+    /**
+     * Loads price data from the configured source.
+     * 
+     * @private
+     * @returns {Promise<Object>} Resolved with price points and current point
+     * @throws {Error} If no data source is configured or the source fails
+     */
+    async loadData() {
+        const { pricePoints, series, currentPoint, dataProvider, dataUrl } = this.options;
+        let data;
+        if (pricePoints || series) {
+            data = { pricePoints, series, currentPoint };
+        } else if (dataProvider) {
+            data = await dataProvider();
+        } else if (dataUrl) {
+            const response = await fetch(dataUrl);
+            if (!response.ok) {
+                throw new Error(`Failed to fetch "${dataUrl}": ${response.status} ${response.statusText}`);
+            }
+            data = await response.json();
+        } else {
+            throw new Error('No data source configured: pass pricePoints, series, dataProvider or dataUrl');
+        }
+
+        return { ...this.validateData(data), currentPoint: currentPoint || data.currentPoint };
+    }
+
+    /**
+     * Checks the shape of chart data and normalizes it to a list of series.
+     * A plain `pricePoints` array becomes a single series with the ID 'default'.
+     * A series `color` that d3 cannot parse (e.g. `var(--brand)`) is dropped
+     * with a warning, so the series falls back to the SERIES_COLORS palette.
+     * 
+     * @private
+     * @param {Object} data - Chart data with either `pricePoints` or `series`
+     * @returns {{series: Array<Object>}} Normalized data
+     * @throws {Error} If the data has neither a pricePoints nor a valid series array
+     */
+    validateData(data) {
+        if (data && Array.isArray(data.series)) {
+            return {
+                series: data.series.map((series, index) => {
+                    if (!series || !Array.isArray(series.pricePoints)) {
+                        throw new Error(`Invalid chart data: series ${index} has no pricePoints array`);
+                    }
+                    if (series.color && !d3.color(series.color)) {
+                        console.warn('Invalid series colour, using the palette colour:', series.color);
+                    }
+                    return {
+                        id: String(series.id ?? index),
+                        name: series.name ?? String(series.id ?? index + 1),
+                        color: series.color && d3.color(series.color) ? series.color : null,
+                        pricePoints: series.pricePoints
+                    };
+                })
+            };
+        }
+        if (!data || !Array.isArray(data.pricePoints)) {
+            throw new Error('Invalid chart data: expected an object with a pricePoints or series array');
+        }
+        return { series: [{ id: 'default', name: null, color: null, pricePoints: data.pricePoints }] };
+    }
+
+    /**
+     * Stores normalized series. Their points are cleaned by preprocess().
+     * 
+     * @private
+     * @param {{series: Array<Object>}} data - Data returned by validateData()
+     */
+    applyData(data) {
+        this.series = data.series;
+        this.hasReportedRejected = false;
+        const ids = new Set(this.series.map(series => series.id));
+        this.hiddenSeries.forEach(id => !ids.has(id) && this.hiddenSeries.delete(id));
+    }
+
+    /**
+     * Cleans the data before plotting and fitting. Points with a missing,
+     * non-numeric or negative mileage (or an invalid date in time mode) or
+     * price are dropped and listed by getRejectedPoints(); the valid ones
+     * become each series' `points`. Outliers are then flagged per series
+     * when `outlierDetection` is configured.
+     * 
+     * @private
+     */
+    preprocess() {
+        this.rejectedPoints = [];
+        this.outliers = new Map();
+
+        const { maxPoints } = this.config;
+        this.series.forEach(series => {
+            if (maxPoints && series.pricePoints.length > maxPoints) {
+                series.pricePoints = series.pricePoints.slice(-maxPoints);
+            }
+            series.points = series.pricePoints.filter(point => {
+                const reason = this.validatePoint(point);
+                if (reason) {
+                    this.rejectedPoints.push({ point, series: series.id, reason });
+                }
+                return !reason;
+            });
+            this.detectOutliers(series).forEach(outlier => this.outliers.set(outlier.point, outlier));
+        });
+        this.pricePoints = this.series.flatMap(series => series.points);
+
+        if (this.rejectedPoints.length > 0 && !this.hasReportedRejected) {
+            this.hasReportedRejected = true;
+            console.warn(`PriceChart: ignored ${this.rejectedPoints.length} invalid point(s)`, this.rejectedPoints);
+        }
+    }
+
+    /**
+     * Checks a single point.
+     * 
+     * @private
+     * @param {Object} point - Price point
+     * @returns {string|null} Why the point is invalid, or null if it is valid
+     */
+    validatePoint(point) {
+        if (!point || typeof point !== 'object') {
+            return 'not an object';
+        }
+        const isTime = this.config.xAxisType === 'time';
+        const x = this.getX(point);
+        if (typeof x !== 'number' || !Number.isFinite(x)) {
+            return isTime ? 'missing or invalid date' : 'missing or invalid mileage';
+        }
+        if (!isTime && x < 0) {
+            return 'negative mileage';
+        }
+        if (typeof point.price !== 'number' || !Number.isFinite(point.price)) {
+            return 'missing or invalid price';
+        }
+        if (point.price < 0) {
+            return 'negative price';
+        }
+        return null;
+    }
+
+    /**
+     * Flags a series' outliers with the configured method:
+     * 
+     * - `'iqr'` / `{ method: 'iqr', k }`: prices outside the Tukey fences,
+     *   `k` (default 1.5) interquartile ranges beyond the quartiles.
+     * - `'mad'` / `{ method: 'mad', threshold }`: points whose residual against
+     *   the fitted trend has a modified z-score (based on the median absolute
+     *   deviation) above `threshold` (default 3.5).
+     * 
+     * @private
+     * @param {Object} series - Series with cleaned `points`
+     * @returns {Array<Object>} Outliers as { point, series, method, score }
+     * @throws {Error} If the method is unknown
+     */
+    detectOutliers(series) {
+        const setting = this.config.outlierDetection;
+        if (!setting || series.points.length < 4) {
+            return [];
+        }
+
+        const { method, ...options } = typeof setting === 'string' ? { method: setting } : setting;
+        const points = series.points;
+        let scores;
+        let threshold;
+        if (method === 'iqr') {
+            const prices = points.map(p => p.price).sort(d3.ascending);
+            const q1 = d3.quantileSorted(prices, 0.25);
+            const q3 = d3.quantileSorted(prices, 0.75);
+            const iqr = q3 - q1;
+            threshold = options.k ?? 1.5;
+            scores = points.map(p => !iqr ? 0 : Math.max(q1 - p.price, p.price - q3, 0) / iqr);
+        } else if (method === 'mad') {
+            const xValues = points.map(p => this.getX(p));
+            const yValues = points.map(p => p.price);
+            const trend = this.fitRobustTrend(xValues, yValues);
+            const residuals = xValues.map((x, i) => yValues[i] - trend.predict(x));
+            const median = d3.median(residuals);
+            const mad = d3.median(residuals, r => Math.abs(r - median));
+            threshold = options.threshold ?? 3.5;
+            scores = residuals.map(r => !mad ? 0 : Math.abs(0.6745 * (r - median) / mad));
+        } else {
+            throw new Error(`Unknown outlier detection method "${method}". Expected 'iqr' or 'mad'`);
+        }
+
+        return points
+            .map((point, i) => ({ point, series: series.id, method, score: scores[i] }))
+            .filter(outlier => outlier.score > threshold);
+    }
+
+    /**
+     * Lists the points flagged as outliers, for auditing.
+     * 
+     * @public
+     * @returns {Array<{point: Object, series: string, method: string, score: number}>} Outliers
+     */
+    getOutliers() {
+        return Array.from(this.outliers.values());
+    }
+
+    /**
+     * Lists the points dropped by validation, with the reason for each.
+     * 
+     * @public
+     * @returns {Array<{point: *, series: string, reason: string}>} Rejected points
+     */
+    getRejectedPoints() {
+        return this.rejectedPoints.slice();
+    }
+
+    /**
+     * Returns the series that are not hidden.
+     * 
+     * @private
+     * @returns {Array<Object>} Visible series
+     */
+    getVisibleSeries() {
+        return this.series.filter(series => !this.hiddenSeries.has(series.id));
+    }
+
+    /**
+     * Returns the points of all visible series, or of every series when all
+     * are hidden, so the axes keep a sensible range.
+     * 
+     * @private
+     * @returns {Array<Object>} Price points
+     */
+    getVisiblePoints() {
+        const visible = this.getVisibleSeries().flatMap(series => series.points);
+        return visible.length > 0 ? visible : this.pricePoints;
+    }
+
+    /**
+     * Returns the series the current point belongs to, or the first series.
+     * Estimates and deal ratings are based on this series' trend.
+     * 
+     * @private
+     * @returns {Object} Primary series
+     */
+    getPrimarySeries() {
+        const current = this.currentPoint;
+        return (current && this.series.find(series => series.points.some(point =>
+            this.isSamePoint(point, current)))) || this.series[0];
+    }
+
+    /**
+     * Returns a point's position on the X dimension as a number: its mileage
+     * by default, or a timestamp in milliseconds when `xAxisType` is 'time'.
+     * When `mileageUnit` is set, mileage is converted to the displayed unit.
+     * `xAccessor` overrides which field is read.
+     * 
+     * @private
+     * @param {Object} point - Price point
+     * @returns {number} X value
+     */
+    getX(point) {
+        const { config } = this;
+        if (!config.xAccessor && config.xAxisType !== 'time') {
+            return config.mileageUnit ? point.mileage * this.getMileageFactor() : point.mileage;
+        }
+        const accessor = config.xAccessor || (p => p.date);
+        return this.toXValue(accessor(point));
+    }
+
+    /**
+     * Returns the factor that converts data mileage (`mileageScale` units of
+     * `mileageUnit`) to displayed mileage (`displayMileageScale` units of
+     * `displayMileageUnit`), e.g. 10,000 km to thousands of miles.
+     * 
+     * @private
+     * @returns {number} Conversion factor
+     * @throws {Error} If either unit is unknown
+     */
+    getMileageFactor() {
+        const { mileageUnit, mileageScale, displayMileageUnit, displayMileageScale } = this.config;
+        const from = PriceChart.KM_PER_UNIT[mileageUnit];
+        const to = PriceChart.KM_PER_UNIT[displayMileageUnit];
+        if (!from || !to) {
+            throw new Error(`Unknown mileage unit "${from ? displayMileageUnit : mileageUnit}". Expected 'km' or 'mi'`);
+        }
+        return (mileageScale * from) / (to * displayMileageScale);
+    }
+
+    /**
+     * Converts an X value from data or config to a number. In time mode,
+     * Dates and date strings become timestamps.
+     * 
+     * @private
+     * @param {number|string|Date} value - X value
+     * @returns {number} Numeric X value
+     */
+    toXValue(value) {
+        if (this.config.xAxisType !== 'time') {
+            return value;
+        }
+        return value instanceof Date ? value.getTime() : typeof value === 'string' ? Date.parse(value) : value;
+    }
+
+    /**
+     * Checks whether two points have the same position and price.
+     * 
+     * @private
+     * @param {Object} a - Price point
+     * @param {Object} b - Price point
+     * @returns {boolean} Whether the points match
+     */
+    isSamePoint(a, b) {
+        return a === b || (this.getX(a) === this.getX(b) && a.price === b.price);
+    }
+
+    /**
+     * Formats an X value for the tooltip and the selected-spot label:
+     * `tooltipMileageFormat` plus `xAxisUnit`, or `tooltipDateFormat` in time mode.
+     * 
+     * @private
+     * @param {number} value - Numeric X value
+     * @returns {string} Formatted value
+     */
+    formatX(value) {
+        if (this.config.xAxisType === 'time') {
+            return this.config.tooltipDateFormat(new Date(value), this.config.dateLocale);
+        }
+        return `${this.config.tooltipMileageFormat(value)}${this.config.xAxisUnit}`;
+    }
+
+    /**
+     * Formats an X-axis tick label. In time mode `xAxisDateFormat` is used
+     * if set; otherwise the Intl date format is picked from the tick spacing,
+     * from years down to hours.
+     * 
+     * @private
+     * @param {number} value - Tick value
+     * @param {Array<number>} ticks - All tick values, to derive the spacing from
+     * @returns {string} Label
+     */
+    formatXTick(value, ticks) {
+        if (this.config.xAxisType !== 'time') {
+            return `${this.config.xAxisFormat(value)}${value > 0 ? this.config.xAxisUnit : ''}`;
+        }
+
+        const date = new Date(value);
+        if (this.config.xAxisDateFormat) {
+            return this.config.xAxisDateFormat(date, this.config.dateLocale);
+        }
+        const day = 24 * 60 * 60 * 1000;
+        const spacing = ticks.length > 1 ? (ticks[ticks.length - 1] - ticks[0]) / (ticks.length - 1) : day;
+        let options;
+        if (spacing >= 360 * day) {
+            options = { year: 'numeric' };
+        } else if (spacing >= 28 * day) {
+            options = { year: '2-digit', month: 'short' };
+        } else if (spacing >= day) {
+            options = { month: 'short', day: 'numeric' };
+        } else {
+            options = { hour: 'numeric', minute: '2-digit' };
+        }
+        return new Intl.DateTimeFormat(this.config.dateLocale, options).format(date);
+    }
+
+    /**
+     * Resolves a series' trend line and spot colours. A single series uses the
+     * theme's colours; multiple series use their own `color` or the
+     * SERIES_COLORS palette.
+     * 
+     * @private
+     * @param {Object} series - Series to resolve colours for
+     * @returns {{line: string, spot: string, band: string}} Colours
+     */
+    getSeriesColors(series) {
+        if (this.isThemedSeries(series)) {
+            return { line: this.getThemeColor('trendLine'), spot: this.getThemeColor('spot'), band: this.getThemeColor('trendBand') };
+        }
+
+        const palette = this.config.SERIES_COLORS;
+        const line = series.color || palette[this.series.indexOf(series) % palette.length];
+        const withOpacity = (opacity) => {
+            const color = d3.color(line);
+            if (!color) {
+                return line;
+            }
+            color.opacity = opacity;
+            return color.formatRgb();
+        };
+        return { line, spot: withOpacity(this.config.SERIES_SPOT_OPACITY), band: withOpacity(this.config.SERIES_BAND_OPACITY) };
+    }
+
+    /**
+     * Checks whether a series takes its colours from the theme, in which case
+     * its SVG elements are left to styles.css instead of being coloured inline.
+     * 
+     * @private
+     * @param {Object} series - Series to check
+     * @returns {boolean} Whether the series is coloured by the theme
+     */
+    isThemedSeries(series) {
+        return this.series.length === 1 && !series.color;
+    }
+
+    /**
+     * Replaces the container contents with an error or empty-state message.
+     * 
+     * @private
+     * @param {string} state - Either 'error' or 'empty'
+     * @param {string} message - Message to display
+     */
+    renderMessage(state, message) {
+        this.container.classList.add('price-chart');
+        try {
+            this.applyTheme();
+        } catch (error) {
+            // An invalid theme must not hide the message itself.
+            console.warn('Invalid theme, using the default colours:', error);
+        }
+        this.container.innerHTML = `
+            <div class="price-chart__content">
+                <div class="price-chart__header">
+                    <h1 class="price-chart__title">${this.config.title}</h1>
+                </div>
+                <div class="price-chart__message price-chart__message--${state}" role="status"></div>
+            </div>
+        `;
+        this.container.querySelector('.price-chart__message').textContent = message;
+    }
+
+    /**
+     * Initializes the chart structure by creating necessary DOM elements.
+     * 
+     * @private
+     */
+    initializeChart() {
+        this.container.classList.add('price-chart');
+        this.applyTheme();
+        this.container.classList.toggle('price-chart--selectable', this.config.selectOnClick);
+        this.container.classList.toggle('price-chart--statistics', this.config.showStatistics);
+        this.container.innerHTML = `
+            <div class="price-chart__content">
+                <div class="price-chart__header">
+                    <h1 class="price-chart__title">${this.config.title}</h1>
+                    <div class="price-chart__range"></div>
+                    <div class="price-chart__unit">${this.config.yAxisUnit}</div>
+                    <div class="price-chart__deal-rating"></div>
+                </div>
+                <div class="price-chart__model-info"></div>
+                <div class="price-chart__graph">
+                    <div class="price-chart__y-axis" aria-hidden="true"></div>
+                    <div class="price-chart__x-axis" aria-hidden="true"></div>
+                    <div class="price-chart__plot-area" role="group">
+                        <svg class="price-chart__trend-line" width="100%" height="100%" focusable="false">
+                            <defs>
+                                <clipPath id="${this.getClipId()}">
+                                    <rect class="price-chart__clip-rect"></rect>
+                                </clipPath>
+                            </defs>
+                            <g class="price-chart__trend-bands price-chart__clipped" aria-hidden="true"></g>
+                            <g class="price-chart__bins price-chart__clipped" aria-hidden="true"></g>
+                            <g class="price-chart__brush" aria-hidden="true"></g>
+                            <g class="price-chart__spots price-chart__clipped"></g>
+                            <g class="price-chart__annotations"></g>
+                            <g class="price-chart__selected-spot" aria-hidden="true"></g>
+                            <g class="price-chart__trend-lines price-chart__clipped" aria-hidden="true"></g>
+                            <line class="price-chart__crosshair" aria-hidden="true"></line>
+                        </svg>
+                    </div>
+                    <button type="button" class="price-chart__zoom-reset" hidden></button>
+                </div>
+                <div class="price-chart__selection-summary" aria-live="polite"></div>
+                <div class="price-chart__announcer price-chart__visually-hidden" aria-live="polite"></div>
+                <table class="price-chart__data-table price-chart__visually-hidden"></table>
+            </div>
+            <dl class="price-chart__statistics"></dl>
+        `;
+
+        this.container.querySelector('.price-chart__zoom-reset').addEventListener('click', () => this.resetZoom());
+
+        this.container.querySelector('.price-chart__model-info').addEventListener('click', (event) => {
+            const item = event.target.closest('.price-chart__legend-item');
+            if (item) {
+                this.toggleSeries(item.getAttribute('data-series'));
+            }
+        });
+
+        // Mouse hit testing for the canvas renderer (a no-op while spots are
+        // SVG) and nearest-point snapping for touch and pen in both renderers.
+        const plotArea = this.container.querySelector('.price-chart__plot-area');
+        plotArea.addEventListener('pointerdown', (event) => this.handleTouchPointer(event));
+        plotArea.addEventListener('pointermove', (event) => {
+            if (event.pointerType === 'mouse') {
+                this.handleCanvasPointer(event);
+            } else {
+                this.handleTouchPointer(event);
+            }
+        });
+        plotArea.addEventListener('pointerleave', (event) => {
+            if (event.pointerType === 'mouse') {
+                this.handleCanvasPointer(event, true);
+            }
+        });
+        plotArea.addEventListener('click', (event) => {
+            if ((this.useCanvas || this.touchedPoint) && this.hoveredItem && !event.target.closest('.price-chart__spot')) {
+                this.handleSpotClick(this.hoveredItem.point, event, this.hoveredItem.series);
+            }
+        });
+        plotArea.addEventListener('keydown', (event) => this.handleKeyboardNavigation(event));
+        plotArea.addEventListener('focusout', (event) => {
+            if (event.target === plotArea && this.useCanvas) {
+                this.hideTooltip();
+            }
+        });
+
+        this.updateHeader();
+    }
+
+    /**
+     * Updates the header text after a configuration change.
+     * 
+     * @private
+     */
+    updateHeader() {
+        this.container.querySelector('.price-chart__title').textContent = this.config.title;
+        this.container.querySelector('.price-chart__plot-area').setAttribute('aria-label', this.config.title);
+        this.container.querySelector('.price-chart__zoom-reset').textContent = this.config.resetZoomLabel;
+        this.container.querySelector('.price-chart__unit').textContent = this.config.yAxisUnit;
+    }
+
+    /**
+     * Calculates the axis domains, ticks and scales.
+     * 
+     * Each domain end comes from `minPrice`/`maxPrice`/`minMileage`/`maxMileage`
+     * when configured, otherwise from the data plus 15% padding rounded out to
+     * nice tick values. A configured domain that excludes every point falls
+     * back to the fitted one (see includesData()). Mileage ticks are `mileageSteps` when configured (the
+     * domain is then the union of the steps and the padded data extent, so no
+     * point is clipped), otherwise generated by d3.
+     * The scales map values to percentages of the plot area, inset by the
+     * `PLOT_PADDING_*` percentages. While zoomed, the scales are rescaled by
+     * the zoom transform and the ticks are regenerated for the visible domain.
+     * 
+     * @private
+     * @returns {Object} Chart range object
+     */
+    getChartRange() {
+        const { config } = this;
+        const points = this.getVisiblePoints();
+        const [dataMinMileage, dataMaxMileage] = d3.extent(points, p => this.getX(p));
+        const [dataMinPrice, dataMaxPrice] = d3.extent(points, p => p.price);
+
+        const mileageSpan = (dataMaxMileage - dataMinMileage) || 1;
+        const steps = config.mileageSteps && config.mileageSteps.map(step => this.toXValue(step));
+        let minMileage = Math.max(0, dataMinMileage - mileageSpan * 0.15);
+        let maxMileage = dataMaxMileage + mileageSpan * 0.15;
+        if (steps && steps.length > 0) {
+            minMileage = Math.min(minMileage, ...steps);
+            maxMileage = Math.max(maxMileage, ...steps);
+        }
+        const xScale = (config.xAxisType === 'time' ? d3.scaleTime() : d3.scaleLinear())
+            .domain([minMileage, maxMileage]);
+        if (!steps || steps.length === 0) {
+            xScale.nice(config.mileageTickCount);
+        }
+        const [niceMin, niceMax] = xScale.domain().map(Number);
+        const xDomain = [
+            config.minMileage != null ? this.toXValue(config.minMileage) : niceMin,
+            config.maxMileage != null ? this.toXValue(config.maxMileage) : niceMax
+        ];
+        xScale.domain(this.includesData(points, p => this.getX(p), xDomain, 'minMileage/maxMileage') ? xDomain : [niceMin, niceMax]);
+
+        const priceSpan = (dataMaxPrice - dataMinPrice) || dataMaxPrice || 1;
+        const minPrice = config.zeroBaseline ? 0 : Math.max(0, dataMinPrice - priceSpan * 0.15);
+        const maxPrice = dataMaxPrice + (config.zeroBaseline ? dataMaxPrice : priceSpan) * 0.15;
+        const yScale = d3.scaleLinear()
+            .domain([minPrice, maxPrice])
+            .nice(config.priceTickCount);
+        const [niceMinPrice, niceMaxPrice] = yScale.domain();
+        const yDomain = [config.minPrice ?? niceMinPrice, config.maxPrice ?? niceMaxPrice];
+        yScale.domain(this.includesData(points, p => p.price, yDomain, 'minPrice/maxPrice') ? yDomain : [niceMinPrice, niceMaxPrice]);
+
+        xScale.range([0, 100 - config.PLOT_PADDING_RIGHT]);
+        yScale.range([100 - config.PLOT_PADDING_BOTTOM, config.PLOT_PADDING_TOP]);
+
+        const isZoomed = this.isZoomed();
+        const viewXScale = isZoomed ? this.zoomTransform.rescaleX(xScale) : xScale;
+        const viewYScale = isZoomed ? this.zoomTransform.rescaleY(yScale) : yScale;
+
+        const [xMin, xMax] = viewXScale.domain().map(Number);
+        const [yMin, yMax] = viewYScale.domain();
+        const inDomain = (value, min, max) => value >= min && value <= max;
+
+        return {
+            minMileage: xMin,
+            maxMileage: xMax,
+            minPrice: yMin,
+            maxPrice: yMax,
+            mileageTicks: (steps && steps.length > 0 && !isZoomed ? steps : viewXScale.ticks(config.mileageTickCount).map(Number))
+                .filter(value => inDomain(value, xMin, xMax)),
+            priceTicks: viewYScale.ticks(config.priceTickCount).filter(value => inDomain(value, yMin, yMax)),
+            xScale: viewXScale,
+            yScale: viewYScale
+        };
+    }
+
+    /**
+     * Checks that a configured axis domain contains at least one point. A
+     * domain that misses all of them usually comes from options written in
+     * older display units (e.g. `minPrice: 1200` for 12,000,000 won), so the
+     * caller ignores it and this warns once per domain.
+     * 
+     * @private
+     * @param {Array<Object>} points - Visible price points
+     * @param {Function} accessor - Returns a point's value on the axis
+     * @param {Array<number>} domain - Configured `[min, max]`
+     * @param {string} options - Option names for the warning
+     * @returns {boolean} Whether the domain can be used
+     */
+    includesData(points, accessor, [min, max], options) {
+        if (points.length === 0 || points.some(point => accessor(point) >= min && accessor(point) <= max)) {
+            return true;
+        }
+        const key = `${options}:${min}:${max}`;
+        if (!this.domainWarnings.has(key)) {
+            this.domainWarnings.add(key);
+            console.warn(`PriceChart: ${options} [${min}, ${max}] excludes every point, using the data extent instead. Prices use the data's units and mileage the displayed unit.`);
+        }
+        return false;
+    }
+
+    /**
+     * Renders the entire chart. Spots and the trend line are updated in place,
+     * so with `animate` they move from their previous positions to the new ones.
+     * 
+     * @public
+     * @param {Object} [options] - Render options
+     * @param {boolean} [options.animate=false] - Whether to transition from the previous render
+     * @param {boolean} [options.refit=true] - Whether to refit the trend; zooming and panning reuse the last fit
+     */
+    render({ animate = false, refit = true } = {}) {
+        if (!this.isChartInitialized) {
+            return;
+        }
+
+        const content = this.container.querySelector('.price-chart__content');
+        this.layout = this.getLayout(content.clientWidth, content.clientHeight);
+        this.renderZoom();
+        const range = this.getChartRange();
+        if (refit || !this.seriesTrends) {
+            this.updateTrend();
+        }
+        this.renderYAxis(range);
+        this.renderXAxis(range);
+        this.isScatter = this.config.displayMode === 'scatter';
+        this.useCanvas = this.isScatter && this.getRenderer() === 'canvas';
+        this.renderSpots(range, animate);
+        this.indexSpots(range);
+        this.renderCanvasSpots(range);
+        this.renderCrosshair(range);
+        this.renderBins(range, animate);
+        this.renderAnnotations(range);
+        this.renderBrush(range);
+        this.renderSelectionSummary();
+        this.renderTrendLine(range, animate);
+        this.renderLegend();
+        if (refit) {
+            this.renderDataTable();
+        }
+        this.updatePriceRange();
+        this.renderDealRating();
+        this.renderStatistics();
+        this.emit('rendered', this);
+    }
+
+    /**
+     * Wraps a selection in a transition when animating, so callers can set
+     * attributes the same way in both cases.
+     * 
+     * @private
+     * @param {d3.Selection} selection - Selection to update
+     * @param {boolean} animate - Whether to transition
+     * @returns {d3.Selection|d3.Transition} The selection or a transition on it
+     */
+    transition(selection, animate) {
+        return animate && !this.prefersReducedMotion()
+            ? selection.transition().duration(this.config.TRANSITION_DURATION).ease(d3.easeCubicInOut)
+            : selection.interrupt();
+    }
+
+    /**
+     * Renders the Y-axis of the chart.
+     * 
+     * @private
+     * @param {Object} range - Chart range object
+     */
+    renderYAxis(range) {
+        const yAxis = this.container.querySelector('.price-chart__y-axis');
+        yAxis.innerHTML = '';
+        this.getAxisTicks(range).y.forEach(tick => {
+            const group = document.createElement('div');
+            group.style.top = `${tick.position}%`;
+            group.innerHTML = `
+                <div class="price-chart__y-axis-label">${tick.label}</div>
+                <div class="price-chart__y-axis-line"></div>
+            `;
+            yAxis.appendChild(group);
+        });
+
+        const yAxisLines = this.container.querySelectorAll('.price-chart__y-axis-line');
+        yAxisLines.forEach(line => {
+            line.style.width = `calc((100% - 80px) * ${range.xScale.range()[1] / 100})`;
+        });
+    }
+
+    /**
+     * Renders the X-axis of the chart. Labels are placed with the same scale
+     * as the spots, so each label sits under the points at its mileage.
+     * 
+     * @private
+     * @param {Object} range - Chart range object
+     */
+    renderXAxis(range) {
+        const xAxis = this.container.querySelector('.price-chart__x-axis');
+        xAxis.innerHTML = '';
+        this.getAxisTicks(range).x.forEach(tick => {
+            const group = document.createElement('div');
+            group.style.left = `${tick.position}%`;
+            group.innerHTML = `
+                <div class="price-chart__x-axis-label">${tick.label}</div>
+                <div class="price-chart__x-axis-tick"></div>
+            `;
+            xAxis.appendChild(group);
+        });
+        xAxis.style.top = `${this.getXAxisTop(range, this.layout)}px`;
+    }
+
+    /**
+     * Lists the axis ticks with their positions (percentages of the plot
+     * area, like the scales) and formatted labels. Y ticks run top to bottom.
+     * 
+     * @private
+     * @param {Object} range - Chart range object
+     * @returns {{x: Array<Object>, y: Array<Object>}} Ticks as { value, position, label }
+     */
+    getAxisTicks(range) {
+        return {
+            x: range.mileageTicks.map(value => ({
+                value,
+                position: range.xScale(value),
+                label: this.formatXTick(value, range.mileageTicks)
+            })),
+            y: range.priceTicks.slice().reverse().map(value => ({
+                value,
+                position: range.yScale(value),
+                label: `${this.config.yAxisFormat(value)}${this.config.yAxisUnit}`
+            }))
+        };
+    }
+
+    /**
+     * Computes the pixel sizes and positions of the chart's parts for a
+     * container size, following `PriceChart.LAYOUT`. Used by the browser
+     * chart and by `renderToSVGString()`, so both lay out the same way.
+     * 
+     * @private
+     * @param {number} width - Container width in pixels
+     * @param {number} height - Container height in pixels
+     * @returns {Object} Layout with the container size and the plot area's `x`, `y`, `width` and `height`
+     */
+    getLayout(width, height) {
+        const { LAYOUT } = PriceChart;
+        const graphTop = height * LAYOUT.graphTop;
+        return {
+            width,
+            height,
+            plot: {
+                x: LAYOUT.plotLeft,
+                y: graphTop,
+                width: Math.max(0, width - LAYOUT.plotLeft),
+                height: height * LAYOUT.graphHeight * LAYOUT.plotHeight
+            }
+        };
+    }
+
+    /**
+     * Returns the top of the X-axis row in pixels from the top of the plot
+     * area: the ticks hang from the price baseline.
+     * 
+     * @private
+     * @param {Object} range - Chart range object
+     * @param {Object} layout - Layout from getLayout()
+     * @returns {number} X-axis top
+     */
+    getXAxisTop(range, layout) {
+        const baseline = range.yScale(range.minPrice) / 100 * layout.plot.height;
+        return baseline + 1 - PriceChart.LAYOUT.xAxisTickHeight;
+    }
+
+    /**
+     * Draws the chart as an SVG string for renderToSVGString(). Mirrors the
+     * browser chart part by part, using the same range, ticks, trend paths,
+     * bins and marker geometry, but builds markup instead of DOM nodes.
+     * 
+     * @private
+     * @param {number} width - Output width in pixels
+     * @param {number} height - Output height in pixels
+     * @returns {string} SVG markup
+     */
+    renderStaticSVG(width, height) {
+        const { config } = this;
+        const { LAYOUT } = PriceChart;
+        const layout = this.getLayout(width, height);
+        const { plot } = layout;
+        const { colors } = this.getTheme();
+        const escape = value => String(value).replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
+        const headerTop = height * LAYOUT.headerTop;
+        const parts = [
+            `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" font-family="'Pretendard', sans-serif">`,
+            `<rect width="${width}" height="${height}" fill="${colors.background}"/>`,
+            `<text x="0" y="${headerTop + LAYOUT.titleBaseline}" fill="${colors.title}" font-size="32" font-weight="700">${escape(config.title)}</text>`
+        ];
+
+        if (this.pricePoints.length === 0) {
+            parts.push(`<text x="${width / 2}" y="${height * LAYOUT.graphTop + 18}" text-anchor="middle" fill="${colors.mutedText}" font-size="18">${escape(config.emptyMessage)}</text>`, '</svg>');
+            return parts.join('');
+        }
+
+        this.updateTrend();
+        const range = this.getChartRange();
+        const ticks = this.getAxisTicks(range);
+
+        // Header: price range, unit and deal rating on one line.
+        const rating = config.showDealRating ? this.rateCurrentPoint() : null;
+        parts.push(
+            `<text x="0" y="${headerTop + LAYOUT.rangeBaseline}" font-weight="700">`,
+            `<tspan fill="${colors.accent}" font-size="48">${escape(this.getPriceRangeText())}</tspan>`,
+            `<tspan dx="10" fill="${colors.accent}" font-size="28">${escape(config.yAxisUnit)}</tspan>`,
+            rating ? `<tspan dx="12" fill="${colors[rating.rating]}" font-size="14">${escape(rating.label)}</tspan>` : '',
+            '</text>'
+        );
+
+        // Legend, right-aligned.
+        const legend = this.series.length === 1
+            ? [{ name: this.series[0].name ?? config.modelName, color: this.getSeriesColors(this.series[0]).spot }]
+            : this.series.map(series => ({ name: series.name, color: this.getSeriesColors(series).line }));
+        const legendY = height * LAYOUT.legendTop + 10;
+        let legendRight = width * (1 - LAYOUT.legendRight);
+        legend.slice().reverse().forEach(item => {
+            const nameX = legendRight - this.estimateTextWidth(item.name, 16);
+            parts.push(
+                `<circle cx="${nameX - 8 - 6.5}" cy="${legendY}" r="6.5" fill="${item.color}"/>`,
+                `<text x="${nameX}" y="${legendY}" dy="0.35em" fill="${colors.mutedText}" font-size="16">${escape(item.name)}</text>`
+            );
+            legendRight = nameX - 8 - 13 - 16;
+        });
+
+        // Axes
+        const axisTop = plot.y + this.getXAxisTop(range, layout);
+        ticks.y.forEach(tick => {
+            const y = plot.y + tick.position / 100 * plot.height;
+            parts.push(
+                `<line x1="${plot.x}" y1="${y}" x2="${width}" y2="${y}" stroke="${colors.grid}"/>`,
+                `<text x="${plot.x - LAYOUT.yAxisLabelPadding}" y="${y}" dy="0.35em" text-anchor="end" fill="${colors.axisLabel}" font-size="16">${escape(tick.label)}</text>`
+            );
+        });
+        ticks.x.forEach(tick => {
+            const x = plot.x + tick.position / 100 * plot.width;
+            parts.push(
+                `<rect x="${x}" y="${axisTop}" width="1" height="${LAYOUT.xAxisTickHeight}" fill="${colors.grid}"/>`,
+                `<text x="${x}" y="${axisTop + LAYOUT.xAxisLabelBaseline}" text-anchor="middle" fill="${colors.axisLabel}" font-size="16">${escape(tick.label)}</text>`
+            );
+        });
+
+        // Plot area, clipped like the browser's overflow: hidden.
+        parts.push(`<svg x="${plot.x}" y="${plot.y}" width="${plot.width}" height="${plot.height}" overflow="hidden">`);
+        const { line, area } = this.getTrendPathGenerators(range, layout);
+        const visible = this.getVisibleSeries().filter(series => this.seriesTrends.has(series.id));
+        if (config.trendBand) {
+            visible.forEach(series => {
+                parts.push(`<path d="${area(this.seriesTrends.get(series.id).band)}" fill="${this.getSeriesColors(series).band}"/>`);
+            });
+        }
+        if (config.displayMode === 'scatter') {
+            this.getVisibleSeries().forEach(series => {
+                parts.push(`<g fill="${this.getSeriesColors(series).spot}">`);
+                series.points.forEach(point => {
+                    const outlier = this.outliers.has(point) ? ` fill="transparent" stroke="${colors.outlier}" stroke-width="1.5"` : '';
+                    parts.push(`<circle cx="${range.xScale(this.getX(point))}%" cy="${range.yScale(point.price)}%" r="${config.SPOT_RADIUS}"${outlier}/>`);
+                });
+                parts.push('</g>');
+            });
+        } else {
+            const { bins, shape, color } = this.getBinCells(range, layout);
+            bins.forEach(bin => parts.push(`<path d="${shape}" transform="translate(${bin.x},${bin.y})" fill="${color(bin.count)}" stroke="${colors.background}"/>`));
+        }
+
+        // Annotations, then the selected-spot marker with a static halo in
+        // place of the pulse.
+        const marker = this.getMarkerGeometry(range, layout, this.getSpotSize());
+        this.getAnnotationGeometry(range, layout, marker).forEach(({ annotation, line, dot, icon, label }) => {
+            const color = escape(annotation.color || colors.annotation);
+            if (line) {
+                parts.push(`<line x1="${line.x1}%" y1="${line.y1}%" x2="${line.x2}%" y2="${line.y2}%" stroke="${color}" stroke-width="1.5" stroke-dasharray="4,3"/>`);
+            }
+            if (dot) {
+                parts.push(`<circle cx="${dot.x}%" cy="${dot.y}%" r="4" fill="${color}"/>`);
+            }
+            if (icon) {
+                // The icon's root is stripped of its size so it fills the box.
+                const markup = annotation.icon
+                    ? annotation.icon.replace(/<svg\b[^>]*>/, tag => tag.replace(/\s(width|height|x|y)="[^"]*"/g, ''))
+                    : `<svg viewBox="0 0 28 42"><path d="${PIN_PATH}" fill="currentColor"/></svg>`;
+                parts.push(`<svg x="${icon.x}%" y="${icon.y}%" width="${icon.width}" height="${icon.height}" color="${color}" overflow="visible">${markup}</svg>`);
+            }
+            if (label) {
+                parts.push(`<text x="${label.x}%" y="${label.y}%" dy="0.35em" fill="${color}" font-size="${LAYOUT.annotationFontSize}" font-weight="700" stroke="${colors.background}" stroke-width="3" stroke-linejoin="round" paint-order="stroke">${escape(label.text)}</text>`);
+            }
+        });
+        if (marker) {
+            parts.push(
+                `<line x1="${marker.x}%" y1="${marker.y}%" x2="${marker.x}%" y2="${marker.lineBottom}%" stroke="${colors.selectedSpot}" stroke-width="1" stroke-dasharray="2,2"/>`,
+                `<circle cx="${marker.x}%" cy="${marker.y}%" r="16" fill="${colors.selectedSpot}" opacity="0.3"/>`,
+                `<text x="${marker.x}%" y="${marker.labelY}%" text-anchor="middle" fill="${colors.selectedSpot}" font-weight="bold" font-size="22px">${escape(marker.label)}</text>`,
+                `<svg x="${marker.iconX}%" y="${marker.iconY}%" width="28" height="42" viewBox="0 0 28 42" overflow="visible">`,
+                `<path d="${PIN_PATH}" fill="${colors.trendLine}"/>`,
+                '</svg>'
+            );
+        }
+        visible.forEach(series => {
+            const d = line(this.seriesTrends.get(series.id).trend);
+            parts.push(`<path d="${d}" fill="none" stroke="${this.getSeriesColors(series).line}" stroke-width="${config.TREND_LINE_WIDTH}"/>`);
+        });
+        parts.push('</svg>', '</svg>');
+        return parts.join('');
+    }
+
+    /**
+     * Renders the price spots on the chart, one group per visible series.
+     * Existing spots are reused and moved, new ones fade in and surplus ones
+     * fade out.
+     * 
+     * @private
+     * @param {Object} range - Chart range object
+     * @param {boolean} animate - Whether to transition from the previous render
+     */
+    renderSpots(range, animate) {
+        const plotArea = this.container.querySelector('.price-chart__plot-area');
+        const layer = d3.select(plotArea).select('.price-chart__spots');
+
+        const spotX = point => range.xScale(this.getX(point));
+        const spotY = point => range.yScale(point.price);
+        const fadeOut = exit => animate
+            ? exit.transition().duration(this.config.TRANSITION_DURATION).attr('opacity', 0).remove()
+            : exit.remove();
+        const seriesOf = element => d3.select(element.parentNode).datum();
+
+        const groups = layer.selectAll('.price-chart__series')
+            .data(this.isScatter && !this.useCanvas ? this.getVisibleSeries() : [], series => series.id)
+            .join(
+                enter => enter.append('g').attr('class', 'price-chart__series'),
+                update => update,
+                fadeOut
+            )
+            .attr('data-series', series => series.id)
+            .style('fill', series => (this.isThemedSeries(series) ? null : this.getSeriesColors(series).spot));
+        this.transition(groups, animate).attr('opacity', 1);
+
+        // Spots follow their points' order unless addPoints() has keyed them.
+        const spots = groups.selectAll('.price-chart__spot')
+            .data(series => series.points, (d, i) => this.pointKeys.get(d) || `i${i}`)
+            .join(
+                enter => enter.append('circle')
+                    .attr('class', 'price-chart__spot')
+                    .attr('cx', d => `${spotX(d)}%`)
+                    .attr('cy', d => `${spotY(d)}%`)
+                    .attr('r', animate ? 0 : this.config.SPOT_RADIUS)
+                    .attr('opacity', animate ? 0 : 1)
+                    .attr('role', 'img')
+                    .attr('tabindex', -1)
+                    .on('focus', (event, d) => {
+                        const series = seriesOf(event.currentTarget);
+                        this.focusedItem = { point: d, series };
+                        this.showTooltip(event.currentTarget, d, series);
+                        this.emit('spotHover', d, event, series);
+                    })
+                    .on('blur', (event) => {
+                        this.hideTooltip();
+                        this.emit('spotHover', null, event);
+                    })
+                    .on('mouseenter', (event, d) => {
+                        const series = seriesOf(event.currentTarget);
+                        this.showTooltip(event.currentTarget, d, series);
+                        this.emit('spotHover', d, event, series);
+                    })
+                    .on('mouseleave', (event) => {
+                        this.hideTooltip();
+                        this.emit('spotHover', null, event);
+                    })
+                    .on('click', (event, d) => this.handleSpotClick(d, event, seriesOf(event.currentTarget))),
+                update => update,
+                fadeOut
+            )
+            .classed('price-chart__spot--outlier', d => this.outliers.has(d))
+            .classed('price-chart__spot--dimmed', d => !!this.selection && !this.isInSelection(d))
+            .attr('data-mileage', d => this.getX(d))
+            .attr('data-price', d => d.price)
+            .attr('aria-label', (d, i, nodes) => this.getPointLabel(d, seriesOf(nodes[i])));
+        this.updateRovingFocus(spots);
+
+        this.transition(spots, animate)
+            .attr('cx', d => `${spotX(d)}%`)
+            .attr('cy', d => `${spotY(d)}%`)
+            .attr('r', this.config.SPOT_RADIUS)
+            .attr('opacity', 1);
+
+        const markerLayer = plotArea.querySelector('.price-chart__selected-spot');
+        markerLayer.innerHTML = '';
+        if (!this.spotSvg) {
+            console.error('Spot SVG not found');
+            return;
+        }
+        const marker = this.getMarkerGeometry(range, this.layout, this.getSpotSize());
+        if (marker) {
+            this.renderSelectedSpot(markerLayer, marker);
+        }
+    }
+
+    /**
+     * Positions the selected-spot marker: the current point, the dashed line
+     * down to the X-axis, the mileage label under it and the spot icon above
+     * the point, all as percentages of the plot area.
+     * 
+     * @private
+     * @param {Object} range - Chart range object
+     * @param {Object} layout - Layout from getLayout()
+     * @param {{width: number, height: number}} spotSize - Size of the spot icon in pixels
+     * @returns {Object|null} Marker geometry, or null when the current point is hidden or out of view
+     */
+    getMarkerGeometry(range, layout, spotSize) {
+        const current = this.currentPoint && this.getVisibleSeries()
+            .flatMap(series => series.points)
+            .find(point => this.isSamePoint(point, this.currentPoint));
+        if (!current) {
+            return null;
+        }
+        const value = this.getX(current);
+        if (value < range.minMileage || value > range.maxMileage || current.price < range.minPrice || current.price > range.maxPrice) {
+            return null;
+        }
+
+        const x = range.xScale(value);
+        const y = range.yScale(current.price);
+        const axisTop = this.getXAxisTop(range, layout) / layout.plot.height * 100;
+        return {
+            x,
+            y,
+            lineBottom: axisTop,
+            labelY: axisTop + 5,
+            label: this.formatX(this.getX(this.currentPoint)),
+            iconX: x - (spotSize.width / (2 * layout.plot.width) * 100),
+            iconY: y - (spotSize.height / layout.plot.height * 100)
+        };
+    }
+
+    /**
+     * Returns the size of the selected-spot icon in pixels.
+     * 
+     * @private
+     * @returns {{width: number, height: number}} Icon size
+     */
+    getSpotSize() {
+        return {
+            width: parseFloat((this.spotSvg && this.spotSvg.getAttribute('width')) || 28),
+            height: parseFloat((this.spotSvg && this.spotSvg.getAttribute('height')) || 42)
+        };
+    }
+
+    /**
+     * Positions the annotations as percentages of the plot area: a pin above
+     * each point annotation, a line across the plot at each price
+     * annotation and down to the X-axis at each mileage annotation, and
+     * their labels. Annotations outside the axis domains are left out.
+     * 
+     * Labels are placed in order, each at the first of a few candidate
+     * positions around its annotation that stays inside the plot and clears
+     * the selected-spot marker, its mileage label and deal badge, the pins and
+     * the labels placed so far. When every candidate is taken they slide
+     * further out (along the line for reference lines); if nothing is free,
+     * the position with the least overlap is used. Text is measured with
+     * estimateTextWidth() so the browser and renderToSVGString() agree.
+     * 
+     * @private
+     * @param {Object} range - Chart range object
+     * @param {Object} layout - Layout from getLayout()
+     * @param {Object|null} marker - Marker geometry from getMarkerGeometry()
+     * @returns {Array<{annotation: Object, type: string, line: Object|null, dot: Object|null, icon: Object|null, label: Object|null}>} Annotation geometry
+     * @throws {Error} If an annotation type is unknown
+     */
+    getAnnotationGeometry(range, layout, marker) {
+        const { LAYOUT } = PriceChart;
+        const { plot } = layout;
+        const { annotationIconWidth: iconWidth, annotationIconHeight: iconHeight, annotationFontSize: fontSize, annotationGap: gap } = LAYOUT;
+        const axisTop = this.getXAxisTop(range, layout);
+        const toPx = { x: percent => percent / 100 * plot.width, y: percent => percent / 100 * plot.height };
+        const toPercent = { x: px => px / plot.width * 100, y: px => px / plot.height * 100 };
+        const box = (left, top, width, height) => ({ left, top, right: left + width, bottom: top + height });
+        const overlap = (a, b) => Math.max(0, Math.min(a.right, b.right) - Math.max(a.left, b.left))
+            * Math.max(0, Math.min(a.bottom, b.bottom) - Math.max(a.top, b.top));
+        const isInside = b => b.left >= 0 && b.top >= 0 && b.right <= plot.width && b.bottom <= axisTop;
+        const inX = value => value >= range.minMileage && value <= range.maxMileage;
+        const inY = value => value >= range.minPrice && value <= range.maxPrice;
+
+        const obstacles = [];
+        if (marker) {
+            const x = toPx.x(marker.x);
+            const y = toPx.y(marker.y);
+            const spotSize = this.getSpotSize();
+            const labelWidth = this.estimateTextWidth(marker.label, 22);
+            obstacles.push(
+                box(x - spotSize.width / 2, y - spotSize.height, spotSize.width, spotSize.height),
+                box(x - 16, y - 16, 32, 32),
+                box(x - labelWidth / 2, toPx.y(marker.labelY) - 18, labelWidth, 22)
+            );
+            const rating = this.config.showDealRating ? this.rateCurrentPoint() : null;
+            if (rating) {
+                const badgeWidth = this.estimateTextWidth(rating.label, 12) + 16;
+                obstacles.push(box(x - badgeWidth / 2, y - 52 - 20, badgeWidth, 20));
+            }
+        }
+
+        const items = (this.config.annotations || []).map(annotation => {
+            const type = annotation.type || 'point';
+            if (type === 'point') {
+                const value = this.getX(annotation);
+                if (!inX(value) || !inY(annotation.price)) {
+                    return null;
+                }
+                const x = toPx.x(range.xScale(value));
+                const y = toPx.y(range.yScale(annotation.price));
+                const pin = box(x - iconWidth / 2, y - iconHeight, iconWidth, iconHeight);
+                obstacles.push(pin);
+                return { annotation, type, x, y, pin };
+            }
+            if (type === 'price') {
+                return inY(annotation.price) ? { annotation, type, y: toPx.y(range.yScale(annotation.price)) } : null;
+            }
+            if (type === 'mileage') {
+                const value = this.getX(annotation);
+                return inX(value) ? { annotation, type, x: toPx.x(range.xScale(value)) } : null;
+            }
+            throw new Error(`Unknown annotation type "${type}". Expected 'point', 'price' or 'mileage'`);
+        }).filter(Boolean);
+
+        return items.map(({ annotation, type, x, y, pin }) => {
+            const geometry = { annotation, type, line: null, dot: null, icon: null, label: null };
+            if (type === 'point') {
+                geometry.dot = { x: toPercent.x(x), y: toPercent.y(y) };
+                geometry.icon = { x: toPercent.x(pin.left), y: toPercent.y(pin.top), width: iconWidth, height: iconHeight };
+            } else if (type === 'price') {
+                geometry.line = { x1: 0, y1: toPercent.y(y), x2: 100, y2: toPercent.y(y) };
+            } else {
+                geometry.line = { x1: toPercent.x(x), y1: 0, x2: toPercent.x(x), y2: toPercent.y(axisTop) };
+            }
+
+            const text = annotation.label == null ? '' : String(annotation.label);
+            if (!text) {
+                return geometry;
+            }
+
+            // Reference lines show their icon, if any, before the label.
+            const lineIcon = type !== 'point' && annotation.icon ? fontSize + gap : 0;
+            const width = lineIcon + this.estimateTextWidth(text, fontSize);
+            const height = fontSize + 4;
+            const step = height + 2;
+            let candidates;
+            if (type === 'point') {
+                const head = pin.top + iconHeight / 3 - height / 2;
+                candidates = [
+                    { left: pin.right + gap, top: head, dx: 0, dy: -step },
+                    { left: pin.left - gap - width, top: head, dx: 0, dy: -step },
+                    { left: x - width / 2, top: pin.top - gap - height, dx: 0, dy: -step },
+                    { left: x - width / 2, top: y + gap, dx: 0, dy: step }
+                ];
+            } else if (type === 'price') {
+                candidates = [
+                    { left: plot.width - gap - width, top: y - gap - height, dx: -(width + gap), dy: 0 },
+                    { left: plot.width - gap - width, top: y + gap, dx: -(width + gap), dy: 0 },
+                    { left: gap, top: y - gap - height, dx: width + gap, dy: 0 },
+                    { left: gap, top: y + gap, dx: width + gap, dy: 0 }
+                ];
+            } else {
+                candidates = [
+                    { left: x + gap, top: gap, dx: 0, dy: step },
+                    { left: x - gap - width, top: gap, dx: 0, dy: step }
+                ];
+            }
+
+            let best = null;
+            let bestOverlap = Infinity;
+            for (let k = 0; k <= 10 && bestOverlap > 0; k++) {
+                candidates.forEach(candidate => {
+                    const b = box(candidate.left + k * candidate.dx, candidate.top + k * candidate.dy, width, height);
+                    const total = obstacles.reduce((sum, obstacle) => sum + overlap(b, obstacle), 0);
+                    if (isInside(b) && total < bestOverlap) {
+                        best = b;
+                        bestOverlap = total;
+                    }
+                });
+            }
+            if (!best) {
+                const { left, top } = candidates[0];
+                best = box(Math.min(Math.max(0, left), plot.width - width), Math.min(Math.max(0, top), axisTop - height), width, height);
+            }
+            obstacles.push(best);
+
+            if (lineIcon) {
+                geometry.icon = { x: toPercent.x(best.left), y: toPercent.y(best.top + 2), width: fontSize, height: fontSize };
+            }
+            geometry.label = { x: toPercent.x(best.left + lineIcon), y: toPercent.y(best.top + height / 2), text };
+            return geometry;
+        });
+    }
+
+    /**
+     * Estimates the width of a line of text from rough per-character widths,
+     * for layout that has no layout engine to ask (renderToSVGString()) or
+     * must match it.
+     * 
+     * @private
+     * @param {string} text - Text to measure
+     * @param {number} size - Font size in pixels
+     * @returns {number} Width in pixels
+     */
+    estimateTextWidth(text, size) {
+        return Array.from(String(text)).reduce((sum, char) => {
+            if (/[\u1100-\u11FF\u3000-\u9FFF\uAC00-\uD7AF\uFF00-\uFFEF]/.test(char)) {
+                return sum + size;
+            }
+            return sum + size * (/[A-Z0-9]/.test(char) ? 0.65 : 0.55);
+        }, 0);
+    }
+
+    /**
+     * Describes a point for assistive technology with the tooltip formatters:
+     * series name (when there are several), price, mileage or date, and the
+     * outlier flag.
+     * 
+     * @private
+     * @param {Object} point - Price point
+     * @param {Object} series - The series the point belongs to
+     * @returns {string} Accessible label
+     */
+    getPointLabel(point, series) {
+        return [
+            this.series.length > 1 ? series.name : null,
+            `${this.formatNumber(this.config.tooltipPriceFormat(point.price))}${this.config.yAxisUnit}`,
+            this.formatX(this.getX(point)),
+            this.outliers.has(point) ? this.config.outlierLabel : null
+        ].filter(Boolean).join(', ');
+    }
+
+    /**
+     * Lists the visible points in keyboard navigation order: by mileage (or
+     * date), then by price.
+     * 
+     * @private
+     * @returns {Array<{point: Object, series: Object}>} Ordered points
+     */
+    getNavigationOrder() {
+        return this.getVisibleSeries()
+            .flatMap(series => series.points.map(point => ({ point, series })))
+            .sort((a, b) => (this.getX(a.point) - this.getX(b.point)) || (a.point.price - b.point.price));
+    }
+
+    /**
+     * Makes a single spot reachable with Tab: the last focused one if it is
+     * still shown, otherwise the first in navigation order. The arrow keys
+     * move between the others.
+     * 
+     * @private
+     * @param {d3.Selection} spots - The spot circles
+     */
+    updateRovingFocus(spots) {
+        const nodes = spots.nodes();
+        if (nodes.length === 0) {
+            return;
+        }
+
+        const focused = this.focusedItem && nodes.find(node => d3.select(node).datum() === this.focusedItem.point);
+        const [first] = this.getNavigationOrder();
+        const target = focused || nodes.find(node => d3.select(node).datum() === first.point) || nodes[0];
+        spots.attr('tabindex', -1);
+        target.setAttribute('tabindex', 0);
+    }
+
+    /**
+     * Moves between points with the arrow keys (Home and End jump to the
+     * first and last) and selects the focused point with Enter or Space.
+     * With the canvas renderer the plot area keeps the focus, the tooltip
+     * follows the active point and its label is announced.
+     * 
+     * @private
+     * @param {KeyboardEvent} event - Key event from a spot or the plot area
+     */
+    handleKeyboardNavigation(event) {
+        const steps = { ArrowRight: 1, ArrowUp: 1, ArrowLeft: -1, ArrowDown: -1 };
+        const isSelect = event.key === 'Enter' || event.key === ' ';
+        if (!isSelect && !(event.key in steps) && event.key !== 'Home' && event.key !== 'End') {
+            return;
+        }
+
+        const items = this.getNavigationOrder();
+        if (items.length === 0 || !this.isScatter) {
+            return;
+        }
+        event.preventDefault();
+
+        let index = this.focusedItem ? items.findIndex(item => item.point === this.focusedItem.point) : -1;
+        if (isSelect) {
+            if (index >= 0) {
+                this.handleSpotClick(items[index].point, event, items[index].series);
+            }
+            return;
+        }
+
+        if (event.key === 'Home') {
+            index = 0;
+        } else if (event.key === 'End') {
+            index = items.length - 1;
+        } else {
+            index = Math.max(0, Math.min(items.length - 1, index + steps[event.key]));
+        }
+        this.focusItem(items[index], event);
+    }
+
+    /**
+     * Moves keyboard focus to a point.
+     * 
+     * @private
+     * @param {{point: Object, series: Object}} item - Point to focus
+     * @param {KeyboardEvent} event - The key event that moved the focus
+     */
+    focusItem(item, event) {
+        this.focusedItem = item;
+        if (!this.useCanvas) {
+            const spots = d3.select(this.container).selectAll('.price-chart__spot');
+            const node = spots.nodes().find(spot => d3.select(spot).datum() === item.point);
+            if (node) {
+                spots.attr('tabindex', -1);
+                node.setAttribute('tabindex', 0);
+                node.focus();
+            }
+            return;
+        }
+
+        const canvasItem = this.quadtree && this.quadtree.data().find(d => d.point === item.point);
+        if (canvasItem) {
+            this.showTooltip(this.getItemAnchor(canvasItem), item.point, item.series);
+        }
+        this.container.querySelector('.price-chart__announcer').textContent = this.getPointLabel(item.point, item.series);
+        this.emit('spotHover', item.point, event, item.series);
+    }
+
+    /**
+     * Fills the visually hidden table that gives screen-reader users the
+     * plotted data, in navigation order.
+     * 
+     * @private
+     */
+    renderDataTable() {
+        const table = this.container.querySelector('.price-chart__data-table');
+        const labels = this.config.dataTableLabels;
+        const columns = [
+            ...(this.series.length > 1 ? [{ label: labels.series, value: item => item.series.name }] : []),
+            { label: labels.price, value: item => `${this.formatNumber(this.config.tooltipPriceFormat(item.point.price))}${this.config.yAxisUnit}` },
+            { label: this.config.xAxisType === 'time' ? labels.date : labels.mileage, value: item => this.formatX(this.getX(item.point)) }
+        ];
+
+        table.innerHTML = '<caption></caption><thead><tr></tr></thead><tbody></tbody>';
+        table.querySelector('caption').textContent = this.config.title;
+        const headerRow = table.querySelector('thead tr');
+        columns.forEach(column => {
+            const th = document.createElement('th');
+            th.scope = 'col';
+            th.textContent = column.label;
+            headerRow.appendChild(th);
+        });
+
+        const body = table.querySelector('tbody');
+        this.getNavigationOrder().forEach(item => {
+            const row = document.createElement('tr');
+            columns.forEach(column => {
+                const td = document.createElement('td');
+                td.textContent = column.value(item);
+                row.appendChild(td);
+            });
+            body.appendChild(row);
+        });
+    }
+
+    /**
+     * Checks the user's reduced-motion preference.
+     * 
+     * @private
+     * @returns {boolean} Whether animations should be skipped
+     */
+    prefersReducedMotion() {
+        return typeof window.matchMedia === 'function' && window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+    }
+
+    /**
+     * Renders the hexbin or heatmap density view: visible points are binned
+     * in plot pixels and each cell is coloured by its point count between the
+     * theme's `binLow` and `binHigh` colours. Clears the bins in scatter mode.
+     * 
+     * @private
+     * @param {Object} range - Chart range object
+     * @param {boolean} animate - Whether to transition from the previous render
+     */
+    renderBins(range, animate) {
+        const plotArea = this.container.querySelector('.price-chart__plot-area');
+        const layer = d3.select(plotArea).select('.price-chart__bins');
+        const mode = this.config.displayMode;
+        if (mode !== 'hexbin' && mode !== 'heatmap') {
+            if (mode !== 'scatter') {
+                throw new Error(`Unknown display mode "${mode}". Expected 'scatter', 'hexbin' or 'heatmap'`);
+            }
+            layer.selectAll('*').remove();
+            return;
+        }
+
+        const { bins, shape, color } = this.getBinCells(range, this.layout);
+        const cells = layer.selectAll('.price-chart__bin')
+            .data(bins, bin => bin.key)
+            .join(
+                enter => enter.append('path')
+                    .attr('class', 'price-chart__bin')
+                    .attr('opacity', animate ? 0 : 1)
+                    .on('mouseenter', (event, bin) => this.showBinTooltip(event.currentTarget, bin))
+                    .on('mouseleave', () => this.hideTooltip()),
+                update => update,
+                exit => animate
+                    ? exit.transition().duration(this.config.TRANSITION_DURATION).attr('opacity', 0).remove()
+                    : exit.remove()
+            )
+            .attr('d', shape)
+            .attr('transform', bin => `translate(${bin.x},${bin.y})`)
+            .attr('data-count', bin => bin.count);
+
+        this.transition(cells, animate)
+            .attr('fill', bin => color(bin.count))
+            .attr('opacity', 1);
+    }
+
+    /**
+     * Bins the visible points for the density view and returns the cell
+     * outline (a path around the cell centre) and the count colour scale.
+     * 
+     * @private
+     * @param {Object} range - Chart range object
+     * @param {Object} layout - Layout from getLayout()
+     * @returns {{bins: Array<Object>, shape: string, color: function(number): string}} Bins, cell path and colour scale
+     */
+    getBinCells(range, layout) {
+        const mode = this.config.displayMode;
+        const points = this.getVisibleSeries().flatMap(series => series.points);
+        const bins = this.computeBins(points, range, layout.plot.width, layout.plot.height, mode);
+
+        const maxCount = d3.max(bins, bin => bin.count) || 1;
+        const color = d3.scaleSequential(d3.interpolateRgb(this.getThemeColor('binLow'), this.getThemeColor('binHigh'))).domain([0, maxCount]);
+        const size = this.config.BIN_SIZE;
+        const hexagon = d3.range(6)
+            .map(i => [Math.sin(i * Math.PI / 3) * size, -Math.cos(i * Math.PI / 3) * size])
+            .map(([x, y]) => `${x.toFixed(2)},${y.toFixed(2)}`);
+        const shape = mode === 'hexbin' ? `M${hexagon.join('L')}Z` : `M${-size / 2},${-size / 2}h${size}v${size}h${-size}Z`;
+        return { bins, shape, color };
+    }
+
+    /**
+     * Groups points into hexagonal or square cells of BIN_SIZE pixels.
+     * Hexagons are pointy-topped, laid out in rows offset by half a cell.
+     * 
+     * @private
+     * @param {Array<Object>} points - Price points to bin
+     * @param {Object} range - Chart range object
+     * @param {number} width - Plot width in pixels
+     * @param {number} height - Plot height in pixels
+     * @param {string} mode - Either 'hexbin' or 'heatmap'
+     * @returns {Array<Object>} Bins with key, centre x/y, points, count and medianPrice
+     */
+    computeBins(points, range, width, height, mode) {
+        const size = this.config.BIN_SIZE;
+        const dx = size * Math.sqrt(3);
+        const dy = size * 1.5;
+        const bins = new Map();
+
+        points.forEach(point => {
+            const x = range.xScale(this.getX(point)) / 100 * width;
+            const y = range.yScale(point.price) / 100 * height;
+            let i, j, cx, cy;
+            if (mode === 'heatmap') {
+                i = Math.floor(x / size);
+                j = Math.floor(y / size);
+                cx = (i + 0.5) * size;
+                cy = (j + 0.5) * size;
+            } else {
+                // Nearest hexagon centre: the closer of the two candidate rows.
+                const py = y / dy;
+                j = Math.round(py);
+                const px = x / dx - (j & 1) / 2;
+                i = Math.round(px);
+                const py1 = py - j;
+                if (Math.abs(py1) * 3 > 1) {
+                    const px1 = px - i;
+                    const i2 = i + (px < i ? -1 : 1) / 2;
+                    const j2 = j + (py < j ? -1 : 1);
+                    const px2 = px - i2;
+                    const py2 = py - j2;
+                    if (px1 * px1 + py1 * py1 > px2 * px2 + py2 * py2) {
+                        i = i2 + (j & 1 ? 1 : -1) / 2;
+                        j = j2;
+                    }
+                }
+                cx = (i + (j & 1) / 2) * dx;
+                cy = j * dy;
+            }
+
+            const key = `${i},${j}`;
+            if (!bins.has(key)) {
+                bins.set(key, { key, x: cx, y: cy, points: [] });
+            }
+            bins.get(key).points.push(point);
+        });
+
+        return Array.from(bins.values(), bin => ({
+            ...bin,
+            count: bin.points.length,
+            medianPrice: d3.median(bin.points, p => p.price)
+        }));
+    }
+
+    /**
+     * Shows the tooltip for a density cell with its count and median price.
+     * 
+     * @private
+     * @param {SVGElement} cell - The cell element
+     * @param {Object} bin - The bin bound to the cell
+     */
+    showBinTooltip(cell, bin) {
+        this.displayTooltip(cell, `
+            <div class="price-chart__tooltip-content">
+                <div class="price-chart__tooltip-count">${this.config.binCountLabel(bin.count)}</div>
+                <div class="price-chart__tooltip-price">${this.config.binMedianLabel} ${this.formatNumber(this.config.tooltipPriceFormat(bin.medianPrice))}${this.config.yAxisUnit}</div>
+            </div>
+        `);
+    }
+
+    /**
+     * Checks whether the plot is zoomed or panned away from the full data range.
+     * 
+     * @private
+     * @returns {boolean} Whether a zoom transform is applied
+     */
+    isZoomed() {
+        const { k, x, y } = this.zoomTransform;
+        return k !== 1 || x !== 0 || y !== 0;
+    }
+
+    /**
+     * Returns the ID of the plot's clip path, unique per container.
+     * 
+     * @private
+     * @returns {string} Clip path ID
+     */
+    getClipId() {
+        return `${this.chartId}-plot-clip`;
+    }
+
+    /**
+     * Attaches d3-zoom to the plot area when `zoom` is enabled, or detaches
+     * it. Wheel and pinch zoom around the pointer and dragging pans, within
+     * the full data range and `zoomExtent`. The zoom transform is kept in
+     * plot-area percentages, like the scales, so the view survives resizes.
+     * Also clips the plot layers and shows the reset control while zoomed.
+     * 
+     * @private
+     */
+    renderZoom() {
+        const plotArea = this.container.querySelector('.price-chart__plot-area');
+        const selection = d3.select(plotArea);
+        const { config } = this;
+
+        if (!config.zoom) {
+            if (this.zoomBehavior) {
+                selection.on('.zoom', null);
+                this.zoomBehavior = null;
+            }
+            this.zoomTransform = d3.zoomIdentity;
+        } else {
+            const { width, height } = this.layout.plot;
+            const extent = [
+                [0, config.PLOT_PADDING_TOP / 100 * height],
+                [(100 - config.PLOT_PADDING_RIGHT) / 100 * width, (100 - config.PLOT_PADDING_BOTTOM) / 100 * height]
+            ];
+            const toPixels = t => d3.zoomIdentity.translate(t.x / 100 * width, t.y / 100 * height).scale(t.k);
+
+            if (!this.zoomBehavior) {
+                this.zoomBehavior = d3.zoom().on('zoom', (event) => {
+                    const t = event.transform;
+                    const size = [this.layout.plot.width, this.layout.plot.height];
+                    const previous = this.zoomTransform;
+                    this.zoomTransform = size[0] && size[1]
+                        ? d3.zoomIdentity.translate(t.x / size[0] * 100, t.y / size[1] * 100).scale(t.k)
+                        : d3.zoomIdentity.scale(t.k);
+                    const isUnchanged = ['k', 'x', 'y'].every(key => Math.abs(this.zoomTransform[key] - previous[key]) < 1e-9);
+                    if (!isUnchanged && this.zoomFrame === null) {
+                        this.zoomFrame = requestAnimationFrame(() => {
+                            this.zoomFrame = null;
+                            this.render({ refit: false });
+                        });
+                    }
+                });
+                selection.call(this.zoomBehavior);
+            }
+            this.zoomBehavior
+                .scaleExtent(config.zoomExtent)
+                .extent(extent)
+                .translateExtent(extent);
+            // Keep d3's pixel transform in step with the stored percentages after a resize.
+            selection.call(this.zoomBehavior.transform, toPixels(this.zoomTransform));
+        }
+
+        const isZoomed = this.isZoomed();
+        const rect = plotArea.querySelector('.price-chart__clip-rect');
+        rect.setAttribute('x', 0);
+        rect.setAttribute('y', `${config.PLOT_PADDING_TOP}%`);
+        rect.setAttribute('width', `${100 - config.PLOT_PADDING_RIGHT}%`);
+        rect.setAttribute('height', `${100 - config.PLOT_PADDING_TOP - config.PLOT_PADDING_BOTTOM}%`);
+        selection.selectAll('.price-chart__clipped')
+            .attr('clip-path', isZoomed ? `url(#${this.getClipId()})` : null);
+        this.container.classList.toggle('price-chart--zoomable', !!config.zoom);
+        this.container.querySelector('.price-chart__zoom-reset').hidden = !isZoomed;
+    }
+
+    /**
+     * Sets up the d3 brush on the plot area when `brush` is `'x'` (mileage
+     * range) or `'xy'` (mileage and price rectangle), and moves it to the
+     * current selection. The brush sits under the spots, so hovering them
+     * still works; drags start on the empty plot area.
+     * 
+     * @private
+     * @param {Object} range - Chart range object
+     */
+    renderBrush(range) {
+        const plotArea = this.container.querySelector('.price-chart__plot-area');
+        const layer = d3.select(plotArea).select('.price-chart__brush');
+        const mode = this.config.brush;
+        if (!mode) {
+            layer.on('.brush', null).selectAll('*').remove();
+            return;
+        }
+
+        const { width, height } = this.layout.plot;
+        const x = range.xScale.copy().range(range.xScale.range().map(v => v * width / 100));
+        const y = range.yScale.copy().range(range.yScale.range().map(v => v * height / 100));
+
+        const brush = (mode === 'x' ? d3.brushX() : d3.brush())
+            .extent([[0, 0], [width, height]])
+            .on('end', (event) => {
+                // Moves made below to restore the selection have no source event.
+                if (!event.sourceEvent) {
+                    return;
+                }
+                if (!event.selection) {
+                    this.setSelection(null);
+                    return;
+                }
+                const [x0, x1] = mode === 'x' ? event.selection : [event.selection[0][0], event.selection[1][0]];
+                this.setSelection({
+                    x: [+x.invert(x0), +x.invert(x1)],
+                    price: mode === 'x' ? null : [y.invert(event.selection[1][1]), y.invert(event.selection[0][1])]
+                });
+            });
+        layer.call(brush);
+
+        let pixels = null;
+        if (this.selection) {
+            const [x0, x1] = this.selection.x.map(x);
+            const [y0, y1] = this.selection.price ? this.selection.price.map(y) : [height, 0];
+            pixels = mode === 'x' ? [x0, x1] : [[x0, y1], [x1, y0]];
+        }
+        layer.call(brush.move, pixels);
+    }
+
+    /**
+     * Shows the count, median and price range of the selected points.
+     * 
+     * @private
+     */
+    renderSelectionSummary() {
+        const summary = this.container.querySelector('.price-chart__selection-summary');
+        const selection = this.getSelection();
+        summary.classList.toggle('price-chart__selection-summary--active', !!selection);
+        if (!selection) {
+            summary.innerHTML = '';
+            return;
+        }
+
+        const unit = this.config.yAxisUnit;
+        summary.innerHTML = `
+            <span class="price-chart__selection-count">${this.config.binCountLabel(selection.count)}</span>
+            ${selection.count > 0 ? `
+                <span class="price-chart__selection-median">${this.config.binMedianLabel} ${this.formatNumber(this.config.tooltipPriceFormat(selection.medianPrice))}${unit}</span>
+                <span class="price-chart__selection-range">${this.formatNumber(this.config.rangeFormat(selection.minPrice, selection.maxPrice))}${unit}</span>
+            ` : ''}
+        `;
+    }
+
+    /**
+     * Decides whether spots are drawn as SVG circles or on a canvas.
+     * With `renderer: 'auto'` the canvas is used above `canvasThreshold` visible points.
+     * 
+     * @private
+     * @returns {string} Either 'svg' or 'canvas'
+     */
+    getRenderer() {
+        if (this.config.renderer !== 'auto') {
+            return this.config.renderer;
+        }
+        const count = d3.sum(this.getVisibleSeries(), series => series.points.length);
+        return count > this.config.canvasThreshold ? 'canvas' : 'svg';
+    }
+
+    /**
+     * Indexes the pixel positions of the visible spots in a quadtree, for
+     * canvas hit testing and touch snapping. While zoomed, spots panned out
+     * of the plot are left out. There is no index in the density views.
+     * 
+     * @private
+     * @param {Object} range - Chart range object
+     */
+    indexSpots(range) {
+        this.hoveredItem = null;
+        if (!this.isScatter) {
+            this.quadtree = null;
+            return;
+        }
+
+        const { width, height } = this.layout.plot;
+        const items = this.getVisibleSeries().flatMap(series => series.points.map(point => ({
+            point,
+            series,
+            x: range.xScale(this.getX(point)) / 100 * width,
+            y: range.yScale(point.price) / 100 * height
+        })));
+        const [left, right] = range.xScale.range().map(v => v / 100 * width);
+        const [bottom, top] = range.yScale.range().map(v => v / 100 * height);
+        const inView = this.isZoomed()
+            ? items.filter(({ x, y }) => x >= left && x <= right && y >= top && y <= bottom)
+            : items;
+        this.quadtree = d3.quadtree().x(d => d.x).y(d => d.y).addAll(inView);
+    }
+
+    /**
+     * Draws the indexed spots on a canvas under the SVG overlay.
+     * Removes the canvas when the SVG renderer is in use.
+     * 
+     * @private
+     * @param {Object} range - Chart range object
+     */
+    renderCanvasSpots(range) {
+        const plotArea = this.container.querySelector('.price-chart__plot-area');
+        let canvas = plotArea.querySelector('.price-chart__canvas');
+        // Canvas spots cannot take focus, so the plot area does and handles the arrow keys.
+        if (this.useCanvas) {
+            plotArea.setAttribute('tabindex', 0);
+        } else {
+            plotArea.removeAttribute('tabindex');
+        }
+        if (!this.useCanvas) {
+            if (canvas) {
+                canvas.remove();
+            }
+            return;
+        }
+
+        if (!canvas) {
+            canvas = document.createElement('canvas');
+            canvas.className = 'price-chart__canvas';
+            plotArea.insertBefore(canvas, plotArea.firstChild);
+        }
+
+        const { width, height } = this.layout.plot;
+        const ratio = window.devicePixelRatio || 1;
+        canvas.width = Math.round(width * ratio);
+        canvas.height = Math.round(height * ratio);
+
+        const items = this.quadtree.data();
+        const context = canvas.getContext('2d');
+        if (!context) {
+            return;
+        }
+        context.setTransform(ratio, 0, 0, ratio, 0, 0);
+        context.clearRect(0, 0, width, height);
+        context.save();
+        if (this.isZoomed()) {
+            const [left, right] = range.xScale.range().map(v => v / 100 * width);
+            const [bottom, top] = range.yScale.range().map(v => v / 100 * height);
+            context.beginPath();
+            context.rect(left, top, right - left, bottom - top);
+            context.clip();
+        }
+        const radius = this.config.SPOT_RADIUS;
+        const outliers = items.filter(item => this.outliers.has(item.point));
+        const inliers = items.filter(item => !this.outliers.has(item.point));
+        const tracePath = (pathItems) => {
+            context.beginPath();
+            pathItems.forEach(({ x, y }) => {
+                context.moveTo(x + radius, y);
+                context.arc(x, y, radius, 0, 2 * Math.PI);
+            });
+        };
+        // Spots outside a brush selection are drawn faded, like the SVG renderer's dimmed class.
+        const alpha = item => (this.selection && !this.isInSelection(item.point) ? 0.2 : 1);
+        d3.groups(inliers, alpha, item => item.series).forEach(([opacity, groups]) => {
+            context.globalAlpha = opacity;
+            groups.forEach(([series, seriesItems]) => {
+                context.fillStyle = this.getSeriesColors(series).spot;
+                tracePath(seriesItems);
+                context.fill();
+            });
+        });
+        const outlierColor = this.getThemeColor('outlier');
+        d3.groups(outliers, alpha).forEach(([opacity, outlierItems]) => {
+            context.globalAlpha = opacity;
+            context.strokeStyle = outlierColor;
+            tracePath(outlierItems);
+            context.stroke();
+        });
+        context.restore();
+    }
+
+    /**
+     * Finds the canvas spot nearest to the pointer and shows its tooltip,
+     * emitting `spotHover` when the hovered spot changes.
+     * 
+     * @private
+     * @param {MouseEvent} event - Pointer event on the plot area
+     * @param {boolean} [isLeave=false] - Whether the pointer left the plot area
+     */
+    handleCanvasPointer(event, isLeave = false) {
+        if (!this.useCanvas || !this.quadtree || this.touchedPoint) {
+            return;
+        }
+
+        const plotArea = this.container.querySelector('.price-chart__plot-area');
+        const rect = plotArea.getBoundingClientRect();
+        const item = isLeave
+            ? null
+            : this.quadtree.find(event.clientX - rect.left, event.clientY - rect.top, this.config.HIT_RADIUS) || null;
+        if (item === this.hoveredItem) {
+            return;
+        }
+
+        this.hoveredItem = item;
+        plotArea.classList.toggle('price-chart__plot-area--hover', !!item);
+        if (!item) {
+            this.hideTooltip();
+            this.emit('spotHover', null, event);
+            return;
+        }
+
+        this.showTooltip(this.getItemAnchor(item), item.point, item.series);
+        this.emit('spotHover', item.point, event, item.series);
+    }
+
+    /**
+     * Returns the viewport rectangle of an indexed spot, to anchor the tooltip to.
+     * 
+     * @private
+     * @param {Object} item - Quadtree item with plot-area pixel `x` and `y`
+     * @returns {{left: number, top: number, width: number, height: number}} Spot rectangle
+     */
+    getItemAnchor(item) {
+        const rect = this.container.querySelector('.price-chart__plot-area').getBoundingClientRect();
+        const radius = this.config.SPOT_RADIUS;
+        return {
+            left: rect.left + item.x - radius,
+            top: rect.top + item.y - radius,
+            width: radius * 2,
+            height: radius * 2
+        };
+    }
+
+    /**
+     * Snaps a touch or pen to the nearest spot: tapping or dragging across
+     * the plot moves the crosshair and tooltip to the closest point, and they
+     * stay after the finger lifts until the next tap outside the chart.
+     * With `zoom` enabled a drag pans instead, so only taps snap.
+     * 
+     * @private
+     * @param {PointerEvent} event - Pointer event on the plot area
+     */
+    handleTouchPointer(event) {
+        if (event.pointerType === 'mouse' || !this.quadtree) {
+            return;
+        }
+        if (event.type === 'pointermove' && this.config.zoom) {
+            return;
+        }
+
+        const rect = this.container.querySelector('.price-chart__plot-area').getBoundingClientRect();
+        const item = this.quadtree.find(event.clientX - rect.left, event.clientY - rect.top);
+        if (!item) {
+            return;
+        }
+
+        this.touchedPoint = item.point;
+        this.showCrosshair(item.x);
+        if (item === this.hoveredItem) {
+            return;
+        }
+        this.hoveredItem = item;
+        this.showTooltip(this.getItemAnchor(item), item.point, item.series);
+        this.emit('spotHover', item.point, event, item.series);
+    }
+
+    /**
+     * Hides the touch tooltip and crosshair.
+     * 
+     * @private
+     * @param {PointerEvent} event - The pointer event that ended the inspection
+     */
+    endTouchInspect(event) {
+        this.touchedPoint = null;
+        this.hoveredItem = null;
+        this.hideTooltip();
+        this.showCrosshair(null);
+        this.emit('spotHover', null, event);
+    }
+
+    /**
+     * Re-anchors the touch crosshair and tooltip after a render moved the
+     * spots, or drops them if their point is no longer shown.
+     * 
+     * @private
+     * @param {Object} range - Chart range object
+     */
+    renderCrosshair(range) {
+        const plotArea = this.container.querySelector('.price-chart__plot-area');
+        const line = plotArea.querySelector('.price-chart__crosshair');
+        const [bottom, top] = range.yScale.range();
+        line.setAttribute('y1', `${top}%`);
+        line.setAttribute('y2', `${bottom}%`);
+
+        if (!this.touchedPoint) {
+            this.showCrosshair(null);
+            return;
+        }
+        const item = this.quadtree && this.quadtree.data().find(d => d.point === this.touchedPoint);
+        if (!item) {
+            this.touchedPoint = null;
+            this.hideTooltip();
+            this.showCrosshair(null);
+            return;
+        }
+        this.hoveredItem = item;
+        this.showCrosshair(item.x);
+        this.showTooltip(this.getItemAnchor(item), item.point, item.series);
+    }
+
+    /**
+     * Moves the vertical crosshair, or hides it.
+     * 
+     * @private
+     * @param {number|null} x - Plot-area pixel position, or null to hide
+     */
+    showCrosshair(x) {
+        const line = this.container.querySelector('.price-chart__crosshair');
+        line.style.display = x === null ? 'none' : '';
+        if (x !== null) {
+            line.setAttribute('x1', x);
+            line.setAttribute('x2', x);
+        }
+    }
+
+    /**
+     * Renders the selected spot with additional visual elements.
+     * 
+     * @private
+     * @param {SVGElement} svg - The SVG element or group to draw the marker into
+     * @param {Object} marker - Marker geometry from getMarkerGeometry()
+     */
+    renderSelectedSpot(svg, marker) {
+        const verticalLine = document.createElementNS('http://www.w3.org/2000/svg', 'line');
+        verticalLine.setAttribute('class', 'price-chart__marker-line');
+        verticalLine.setAttribute('x1', `${marker.x}%`);
+        verticalLine.setAttribute('y1', `${marker.y}%`);
+        verticalLine.setAttribute('x2', `${marker.x}%`);
+        verticalLine.setAttribute('y2', `${marker.lineBottom}%`);
+        svg.appendChild(verticalLine);
+
+        const currentSpot = this.spotSvg.cloneNode(true);
+        currentSpot.style.display = 'block';
+        currentSpot.removeAttribute('id');
+        currentSpot.classList.add('price-chart__marker-icon');
+
+        currentSpot.setAttribute('x', `${marker.iconX}%`);
+        currentSpot.setAttribute('y', `${marker.iconY}%`);
+        currentSpot.removeAttribute('transform');
+
+        svg.appendChild(currentSpot);
+
+        const animatedCircle = document.createElementNS('http://www.w3.org/2000/svg', 'circle');
+        animatedCircle.setAttribute('class', 'price-chart__marker-halo');
+        animatedCircle.setAttribute('cx', `${marker.x}%`);
+        animatedCircle.setAttribute('cy', `${marker.y}%`);
+        animatedCircle.setAttribute('r', '10');
+        animatedCircle.setAttribute('opacity', '0.5');
+        svg.appendChild(animatedCircle);
+
+        // Users who prefer reduced motion get a static halo instead of the pulse.
+        if (this.prefersReducedMotion()) {
+            animatedCircle.setAttribute('r', '16');
+            animatedCircle.setAttribute('opacity', '0.3');
+        } else {
+            const animate = document.createElementNS('http://www.w3.org/2000/svg', 'animate');
+            animate.setAttribute('attributeName', 'r');
+            animate.setAttribute('from', '10');
+            animate.setAttribute('to', '30');
+            animate.setAttribute('dur', `${this.config.ANIMATION_DURATION}s`);
+            animate.setAttribute('repeatCount', 'indefinite');
+            animatedCircle.appendChild(animate);
+
+            const animateOpacity = document.createElementNS('http://www.w3.org/2000/svg', 'animate');
+            animateOpacity.setAttribute('attributeName', 'opacity');
+            animateOpacity.setAttribute('from', '0.5');
+            animateOpacity.setAttribute('to', '0');
+            animateOpacity.setAttribute('dur', `${this.config.ANIMATION_DURATION}s`);
+            animateOpacity.setAttribute('repeatCount', 'indefinite');
+            animatedCircle.appendChild(animateOpacity);
+        }
+
+        const mileageText = document.createElementNS('http://www.w3.org/2000/svg', 'text');
+        mileageText.setAttribute('class', 'price-chart__marker-label');
+        mileageText.setAttribute('x', `${marker.x}%`);
+        mileageText.setAttribute('y', `${marker.labelY}%`);
+        mileageText.setAttribute('text-anchor', 'middle');
+        mileageText.textContent = marker.label;
+        svg.appendChild(mileageText);
+
+        const group = document.createElementNS('http://www.w3.org/2000/svg', 'g');
+        group.appendChild(verticalLine);
+        group.appendChild(animatedCircle);
+        group.appendChild(mileageText);
+        group.appendChild(currentSpot);
+        svg.appendChild(group);
+    }
+
+    /**
+     * Draws the `annotations` from getAnnotationGeometry(). Each annotation's
+     * `color` is set as its CSS `color`, which its line, pin and label use.
+     * 
+     * @private
+     * @param {Object} range - Chart range object
+     */
+    renderAnnotations(range) {
+        const SVG_NS = 'http://www.w3.org/2000/svg';
+        const layer = this.container.querySelector('.price-chart__annotations');
+        layer.innerHTML = '';
+        const marker = this.getMarkerGeometry(range, this.layout, this.getSpotSize());
+
+        this.getAnnotationGeometry(range, this.layout, marker).forEach(({ annotation, type, line, dot, icon, label }) => {
+            const group = document.createElementNS(SVG_NS, 'g');
+            group.setAttribute('class', `price-chart__annotation price-chart__annotation--${type}`);
+            if (annotation.color) {
+                group.style.color = annotation.color;
+            }
+
+            if (line) {
+                const element = document.createElementNS(SVG_NS, 'line');
+                element.setAttribute('class', 'price-chart__annotation-line');
+                element.setAttribute('x1', `${line.x1}%`);
+                element.setAttribute('y1', `${line.y1}%`);
+                element.setAttribute('x2', `${line.x2}%`);
+                element.setAttribute('y2', `${line.y2}%`);
+                group.appendChild(element);
+            }
+            if (dot) {
+                const element = document.createElementNS(SVG_NS, 'circle');
+                element.setAttribute('class', 'price-chart__annotation-dot');
+                element.setAttribute('cx', `${dot.x}%`);
+                element.setAttribute('cy', `${dot.y}%`);
+                element.setAttribute('r', '4');
+                group.appendChild(element);
+            }
+            if (icon) {
+                const element = this.createAnnotationIcon(annotation.icon);
+                element.classList.add('price-chart__annotation-icon');
+                element.setAttribute('x', `${icon.x}%`);
+                element.setAttribute('y', `${icon.y}%`);
+                element.setAttribute('width', icon.width);
+                element.setAttribute('height', icon.height);
+                group.appendChild(element);
+            }
+            if (label) {
+                const element = document.createElementNS(SVG_NS, 'text');
+                element.setAttribute('class', 'price-chart__annotation-label');
+                element.setAttribute('x', `${label.x}%`);
+                element.setAttribute('y', `${label.y}%`);
+                element.setAttribute('dy', '0.35em');
+                element.textContent = label.text;
+                group.appendChild(element);
+                group.setAttribute('role', 'img');
+                group.setAttribute('aria-label', label.text);
+            } else {
+                group.setAttribute('aria-hidden', 'true');
+            }
+            layer.appendChild(group);
+        });
+    }
+
+    /**
+     * Creates an annotation's icon from its SVG markup, or the default pin
+     * when it has none or the markup is not valid SVG. Parsed icons are
+     * cached by their markup.
+     * 
+     * @private
+     * @param {string} [markup] - SVG markup of the icon
+     * @returns {SVGElement} Icon element
+     */
+    createAnnotationIcon(markup) {
+        if (!markup) {
+            return this.createDefaultSpot();
+        }
+        if (!this.annotationIcons.has(markup)) {
+            const icon = new DOMParser().parseFromString(markup, 'image/svg+xml').querySelector('svg');
+            if (!icon) {
+                console.warn('Invalid annotation icon, using the default pin:', markup);
+            }
+            this.annotationIcons.set(markup, icon);
+        }
+        const icon = this.annotationIcons.get(markup);
+        return icon ? document.importNode(icon, true) : this.createDefaultSpot();
+    }
+
+    /**
+     * Emits `spotClick` and, with `selectOnClick`, moves the marker to the point.
+     * 
+     * @private
+     * @param {Object} point - The clicked price point
+     * @param {MouseEvent} event - The click event
+     * @param {Object} series - The series the point belongs to
+     */
+    handleSpotClick(point, event, series) {
+        this.emit('spotClick', point, event, series);
+        if (this.config.selectOnClick && !(this.currentPoint && this.isSamePoint(point, this.currentPoint))) {
+            this.setCurrentPoint(point);
+        }
+    }
+
+    /**
+     * Shows the tooltip above a spot.
+     * 
+     * @private
+     * @param {Element|DOMRect} anchor - The spot element, or its viewport rectangle, to anchor the tooltip to
+     * @param {Object} point - The price point bound to the spot
+     * @param {Object} series - The series the point belongs to; named in the tooltip when there are several
+     */
+    showTooltip(anchor, point, series) {
+        // Series names and colours come from the data, so they are escaped rather than trusted as markup
+        const escape = value => String(value).replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
+        this.displayTooltip(anchor, `
+            <div class="price-chart__tooltip-content">
+                ${this.series.length > 1 ? `<div class="price-chart__tooltip-series" style="color: ${escape(this.getSeriesColors(series).line)}">${escape(series.name)}</div>` : ''}
+                <div class="price-chart__tooltip-price">${this.formatNumber(this.config.tooltipPriceFormat(point.price))}${this.config.yAxisUnit}</div>
+                <div class="price-chart__tooltip-mileage">${this.formatX(this.getX(point))}</div>
+                ${this.outliers.has(point) ? `<div class="price-chart__tooltip-flag">${this.config.outlierLabel}</div>` : ''}
+            </div>
+        `);
+    }
+
+    /**
+     * Fills the tooltip and positions it above an anchor, or below it when
+     * there is no room above. The tooltip is kept inside the container's
+     * edges and its arrow still points at the anchor.
+     * 
+     * @private
+     * @param {Element|DOMRect} anchor - Element, or viewport rectangle, to anchor the tooltip to
+     * @param {string} content - Tooltip content HTML
+     */
+    displayTooltip(anchor, content) {
+        let tooltip = this.container.querySelector('.price-chart__tooltip');
+        if (!tooltip) {
+            tooltip = document.createElement('div');
+            tooltip.className = 'price-chart__tooltip';
+            this.container.appendChild(tooltip);
+        }
+
+        tooltip.innerHTML = `${content}<div class="price-chart__tooltip-arrow"></div>`;
+        tooltip.style.display = 'block';
+        const rect = anchor.getBoundingClientRect ? anchor.getBoundingClientRect() : anchor;
+        const containerRect = this.container.getBoundingClientRect();
+        const center = rect.left - containerRect.left + rect.width / 2;
+        const maxLeft = Math.max(0, this.container.clientWidth - tooltip.offsetWidth);
+        const left = Math.min(Math.max(0, center - tooltip.offsetWidth / 2), maxLeft);
+        const above = rect.top - containerRect.top - tooltip.offsetHeight - 10;
+        const isBelow = above < 0;
+
+        tooltip.classList.toggle('price-chart__tooltip--below', isBelow);
+        tooltip.style.left = `${left}px`;
+        tooltip.style.top = `${isBelow ? rect.top - containerRect.top + rect.height + 10 : above}px`;
+        tooltip.querySelector('.price-chart__tooltip-arrow').style.left = `${center - left}px`;
+    }
+
+    /**
+     * Hides the tooltip.
+     * 
+     * @private
+     */
+    hideTooltip() {
+        const tooltip = this.container.querySelector('.price-chart__tooltip');
+        if (tooltip) {
+            tooltip.style.display = 'none';
+        }
+    }
+
+    /**
+     * Renders a trend line, and its band when configured, for each visible series.
+     * 
+     * @private
+     * @param {Object} range - Chart range object
+     * @param {boolean} animate - Whether to transition from the previous render
+     */
+    renderTrendLine(range, animate) {
+        const svg = this.container.querySelector('.price-chart__trend-line');
+        const { line, area } = this.getTrendPathGenerators(range, this.layout);
+        const visible = this.getVisibleSeries().filter(series => this.seriesTrends.has(series.id));
+        const fit = series => this.seriesTrends.get(series.id);
+
+        // Paths are keyed by series and always sampled at the same points, so
+        // their commands line up and the default string interpolation morphs
+        // one into the other.
+        const paths = d3.select(svg).select('.price-chart__trend-lines')
+            .selectAll('.price-chart__trend-path')
+            .data(visible, series => series.id)
+            .join(enter => enter.append('path')
+                .attr('class', 'price-chart__trend-path')
+                .attr('d', series => line(fit(series).trend)))
+            .attr('data-series', series => series.id)
+            .style('stroke', series => (this.isThemedSeries(series) ? null : this.getSeriesColors(series).line))
+            .attr('stroke-width', this.config.TREND_LINE_WIDTH);
+        this.transition(paths, animate)
+            .attr('d', series => line(fit(series).trend));
+
+        const banded = this.config.trendBand ? visible : [];
+        const bands = d3.select(svg).select('.price-chart__trend-bands')
+            .selectAll('.price-chart__trend-band')
+            .data(banded, series => series.id)
+            .join(enter => enter.append('path')
+                .attr('class', 'price-chart__trend-band')
+                .attr('d', series => area(fit(series).band)))
+            .attr('data-series', series => series.id)
+            .style('fill', series => (this.isThemedSeries(series) ? null : this.getSeriesColors(series).band));
+        this.transition(bands, animate)
+            .attr('d', series => area(fit(series).band));
+    }
+
+    /**
+     * Returns functions that build the path data of a trend line and of a
+     * band in plot-area pixels, sampled at 100 points across the X domain.
+     * 
+     * @private
+     * @param {Object} range - Chart range object
+     * @param {Object} layout - Layout from getLayout()
+     * @returns {{line: function(Object): string, area: function(Object): string}} Path generators for a trend and a band
+     */
+    getTrendPathGenerators(range, layout) {
+        const { width, height } = layout.plot;
+        const xScale = range.xScale.copy().range(range.xScale.range().map(v => v / 100 * width));
+        const yScale = range.yScale.copy().range(range.yScale.range().map(v => v / 100 * height));
+
+        const step = (range.maxMileage - range.minMileage) / 100;
+        const trendLinePoints = d3.range(100).map(i => range.minMileage + i * step);
+
+        const line = trend => d3.line()
+            .x(d => xScale(d))
+            .defined(d => Number.isFinite(trend.predict(d)))
+            .y(d => yScale(trend.predict(d)))
+            .curve(d3.curveBasis)(trendLinePoints);
+        const area = band => d3.area()
+            .x(d => xScale(d))
+            .defined(d => Number.isFinite(band.lower(d)) && Number.isFinite(band.upper(d)))
+            .y0(d => yScale(band.lower(d)))
+            .y1(d => yScale(band.upper(d)))
+            .curve(d3.curveBasis)(trendLinePoints);
+
+        return { line, area };
     }
 
     /**
-     * Generates random price points for demonstration purposes.
+     * Renders the model info under the header. With a single series it shows
+     * the model name; with several it becomes a legend whose entries toggle
+     * their series.
      * 
      * @private
-     * @returns {Array<Object>} Array of price points
      */
-    generatePricePoints() {
-        const count = Math.floor(Math.random() * (100 - 80 + 1)) + 80;
-        return Array.from({ length: count }, () => {
-            const mileage = Math.random() * (this.config.MAX_MILEAGE - this.config.MIN_MILEAGE) + this.config.MIN_MILEAGE;
-            const price = Math.max(this.config.MIN_PRICE, this.config.MAX_PRICE - (mileage * 50) + (Math.random() * 400 - 200));
-            return { mileage, price: price * 10000 };
-        }).sort((a, b) => a.mileage - b.mileage);
+    renderLegend() {
+        const modelInfo = this.container.querySelector('.price-chart__model-info');
+        if (this.series.length === 1) {
+            const [series] = this.series;
+            modelInfo.innerHTML = `
+                <div class="price-chart__model-icon"></div>
+                <div class="price-chart__model-name"></div>
+            `;
+            if (!this.isThemedSeries(series)) {
+                modelInfo.querySelector('.price-chart__model-icon').style.background = this.getSeriesColors(series).spot;
+            }
+            modelInfo.querySelector('.price-chart__model-name').textContent = series.name ?? this.config.modelName;
+            return;
+        }
+
+        modelInfo.innerHTML = '';
+        this.series.forEach(series => {
+            const hidden = this.hiddenSeries.has(series.id);
+            const item = document.createElement('button');
+            item.type = 'button';
+            item.className = `price-chart__legend-item${hidden ? ' price-chart__legend-item--hidden' : ''}`;
+            item.setAttribute('data-series', series.id);
+            item.setAttribute('aria-pressed', String(!hidden));
+            item.innerHTML = `
+                <span class="price-chart__model-icon"></span>
+                <span class="price-chart__model-name"></span>
+            `;
+            item.querySelector('.price-chart__model-icon').style.background = this.getSeriesColors(series).line;
+            item.querySelector('.price-chart__model-name').textContent = series.name;
+            modelInfo.appendChild(item);
+        });
     }
 
     /**
-     * Selects a random point from the price points.
+     * Computes a prediction band around the fitted trend from its residuals.
+     * 
+     * The band configuration is either `{ type: 'sigma', width }` for the trend
+     * ± `width` standard deviations of the residuals (default 1), or
+     * `{ type: 'quantile', lower, upper }` for the empirical residual
+     * quantiles (default 0.1 and 0.9).
      * 
      * @private
-     * @param {Array<Object>} pricePoints - Array of price points
-     * @returns {Object} Randomly selected price point
+     * @param {Object} trend - Fitted trend model
+     * @param {Array<number>} xValues - X values
+     * @param {Array<number>} yValues - Y values
+     * @param {boolean|Object} bandConfig - Band configuration in the `config.trendBand` format
+     * @returns {{type: string, lowerOffset: number, upperOffset: number, lower: function(number): number, upper: function(number): number}} Band
+     * @throws {Error} If the band type is unknown
      */
-    selectRandomPoint(pricePoints) {
-        return pricePoints[Math.floor(Math.random() * pricePoints.length)];
+    fitTrendBand(trend, xValues, yValues, bandConfig) {
+        const { type = 'sigma', ...options } = bandConfig === true ? {} : bandConfig;
+        const residuals = xValues.map((x, i) => yValues[i] - trend.predict(x)).filter(Number.isFinite);
+
+        let lowerOffset, upperOffset;
+        if (type === 'sigma') {
+            const sigma = Math.sqrt(d3.mean(residuals, r => r * r) || 0);
+            const width = options.width ?? 1;
+            lowerOffset = -width * sigma;
+            upperOffset = width * sigma;
+        } else if (type === 'quantile') {
+            lowerOffset = d3.quantile(residuals, options.lower ?? 0.1) ?? 0;
+            upperOffset = d3.quantile(residuals, options.upper ?? 0.9) ?? 0;
+        } else {
+            throw new Error(`Unknown trend band "${type}". Expected 'sigma' or 'quantile'`);
+        }
+
+        return {
+            type,
+            lowerOffset,
+            upperOffset,
+            lower: x => trend.predict(x) + lowerOffset,
+            upper: x => trend.predict(x) + upperOffset
+        };
     }
 
     /**
-     * Calculates the chart range based on the price points.
+     * Refits the trend model and band to each series, leaving out flagged
+     * outliers unless `outlierDetection.exclude` is false. `trend`,
+     * `trendBand` and `estimateBand` hold the fit of the primary series.
      * 
      * @private
-     * @returns {Object} Chart range object
      */
-    getChartRange() {
-        const mileages = this.pricePoints.map(p => p.mileage);
-        const prices = this.pricePoints.map(p => p.price);
-        
-        const minMileage = Math.min(...mileages);
-        const maxMileage = Math.max(...mileages);
-        const maxPrice = Math.max(...prices);
-        
-        const mileageRange = maxMileage - minMileage;
-        const priceRange = maxPrice;
-        
-        return {
-            minMileage: Math.max(0, minMileage - mileageRange * 0.15),
-            maxMileage: maxMileage + mileageRange * 0.15,
-            minPrice: 0,
-            maxPrice: Math.ceil((maxPrice + priceRange * 0.15) / 10000000) * 10000000
-        };
+    updateTrend() {
+        this.seriesTrends = new Map();
+        const excludeOutliers = this.config.outlierDetection && this.config.outlierDetection.exclude !== false;
+        this.series.forEach(series => {
+            const inliers = excludeOutliers ? series.points.filter(p => !this.outliers.has(p)) : series.points;
+            const fitPoints = inliers.length > 0 ? inliers : series.points;
+            const xValues = fitPoints.map(p => this.getX(p));
+            const yValues = fitPoints.map(p => p.price);
+            if (xValues.length === 0) {
+                return;
+            }
+
+            const trend = this.fitIncrementalTrend(series, fitPoints) || this.fitRobustTrend(xValues, yValues);
+            const band = this.config.trendBand ? this.fitTrendBand(trend, xValues, yValues, this.config.trendBand) : null;
+            // Estimates always need an interval, so fall back to ±1σ without a configured band.
+            const estimateBand = band || this.fitTrendBand(trend, xValues, yValues, true);
+            this.seriesTrends.set(series.id, { trend, band, estimateBand });
+        });
+
+        const primary = this.seriesTrends.get(this.getPrimarySeries().id)
+            || this.seriesTrends.values().next().value;
+        this.trend = primary.trend;
+        this.trendBand = primary.band;
+        this.estimateBand = primary.estimateBand;
     }
 
     /**
-     * Renders the entire chart.
+     * Estimates the market price at a mileage from the primary series' trend
+     * (the series of the current point). The interval is the configured `trendBand`, or ±1σ of the residuals.
      * 
      * @public
+     * @param {number|string|Date} mileage - Mileage to estimate the price at, or a date in time mode
+     * @returns {{mileage: number, price: number, lower: number, upper: number}|null} Estimate, or null before data is available
      */
-    render() {
-        const range = this.getChartRange();
-        this.renderYAxis(range);
-        this.renderXAxis(range);
-        this.renderSpots(range);
-        this.renderTrendLine(range);
-        this.updatePriceRange();
+    estimatePrice(mileage) {
+        if (!this.pricePoints || this.pricePoints.length === 0) {
+            return null;
+        }
+        mileage = this.toXValue(mileage);
+        if (!this.trend) {
+            this.updateTrend();
+        }
+        return {
+            mileage,
+            price: this.trend.predict(mileage),
+            lower: this.estimateBand.lower(mileage),
+            upper: this.estimateBand.upper(mileage)
+        };
     }
 
     /**
-     * Renders the Y-axis of the chart.
+     * Rates the current vehicle's price against the market trend: 'great'
+     * below the estimate interval, 'high' above it and 'fair' within it.
      * 
-     * @private
-     * @param {Object} range - Chart range object
+     * @public
+     * @returns {{rating: string, label: string, residual: number, estimate: Object}|null} Rating, or null without a current point
      */
-    renderYAxis(range) {
-        const yAxis = this.container.querySelector('.price-chart__y-axis');
-        yAxis.innerHTML = '';
-        const step = range.maxPrice / 4;
-        for (let i = 4; i >= 0; i--) {
-            const price = Math.round(i * step / 100) * 100;
-            const group = document.createElement('div');
-            group.innerHTML = `
-                <div class="price-chart__y-axis-label">${this.config.yAxisFormat(price)}${this.config.yAxisUnit}</div>
-                <div class="price-chart__y-axis-line"></div>
-            `;
-            yAxis.appendChild(group);
+    rateCurrentPoint() {
+        if (!this.currentPoint) {
+            return null;
+        }
+        const estimate = this.estimatePrice(this.getX(this.currentPoint));
+        if (!estimate) {
+            return null;
         }
 
-        const chartWidth = this.container.querySelector('.price-chart__content').offsetWidth;
-        const yAxisLines = this.container.querySelectorAll('.price-chart__y-axis-line');
-        yAxisLines.forEach(line => {
-            line.style.width = `${(chartWidth - 80) * 0.9}px`;
-        });
+        const residual = this.currentPoint.price - estimate.price;
+        let rating = 'fair';
+        if (this.currentPoint.price < estimate.lower) {
+            rating = 'great';
+        } else if (this.currentPoint.price > estimate.upper) {
+            rating = 'high';
+        }
+        return { rating, label: this.config.dealRatingLabels[rating], residual, estimate };
     }
 
     /**
-     * Renders the X-axis of the chart.
+     * Fits the configured trend model to the data.
+     * 
+     * `config.trendModel` is a model type ('polynomial', 'loess', 'exponential'),
+     * an object with a `type` and model options, or a custom function
+     * `(xValues, yValues, weights) => predict` returning a function of x.
      * 
      * @private
-     * @param {Object} range - Chart range object
+     * @param {Array<number>} xValues - X values
+     * @param {Array<number>} yValues - Y values
+     * @param {Array<number>} [weights] - Per-point weights; all 1 if omitted
+     * @returns {{type: string, predict: function(number): number}} Fitted model
+     * @throws {Error} If the model type is unknown
      */
-    renderXAxis(range) {
-        const xAxis = this.container.querySelector('.price-chart__x-axis');
-        xAxis.innerHTML = '';
-        const steps = this.config.MILEAGE_STEPS;
-        const chartWidth = this.container.querySelector('.price-chart__content').offsetWidth;
-        const xAxisWidth = (chartWidth - 80) * 0.9;
-        xAxis.style.width = `${xAxisWidth}px`;
-        steps.forEach((step, index) => {
-            const group = document.createElement('div');
-            const stepPosition = index / (steps.length - 1);
-            group.style.left = `${stepPosition * 100}%`;
-            group.innerHTML = `
-                <div class="price-chart__x-axis-label">${this.config.xAxisFormat(step)}${step > 0 ? this.config.xAxisUnit : ''}</div>
-                <div class="price-chart__x-axis-tick"></div>
-            `;
-            xAxis.appendChild(group);
-        });
+    fitTrendModel(xValues, yValues, weights) {
+        const model = this.config.trendModel;
+        if (typeof model === 'function') {
+            const predict = model(xValues, yValues, weights);
+            return { type: 'custom', predict: typeof predict === 'function' ? predict : predict.predict };
+        }
 
-        const lastYAxisLine = this.container.querySelector('.price-chart__y-axis > div:last-child .price-chart__y-axis-line');
-        const lastYAxisLineRect = lastYAxisLine.getBoundingClientRect();
-        const graphRect = this.container.querySelector('.price-chart__graph').getBoundingClientRect();
-        const xAxisTickHeight = this.container.querySelector('.price-chart__x-axis-tick').offsetHeight;
-        xAxis.style.top = `${lastYAxisLineRect.bottom - graphRect.top - xAxisTickHeight}px`;
+        const { type, ...options } = typeof model === 'string' ? { type: model } : model;
+        switch (type) {
+            case 'polynomial':
+                return this.fitPolynomial(xValues, yValues, options.degree ?? 2, weights);
+            case 'loess':
+                return this.fitLoess(xValues, yValues, options.bandwidth ?? 0.3, weights);
+            case 'exponential':
+                return this.fitExponential(xValues, yValues, weights);
+            default:
+                throw new Error(`Unknown trend model "${type}". Expected 'polynomial', 'loess', 'exponential' or a function`);
+        }
     }
 
     /**
-     * Renders the price spots on the chart.
+     * Refits a series' polynomial trend from the normal-equation sums of its
+     * previous fit, adding the points that joined the fit since and removing
+     * those that left it, instead of summing over every point again. The sums
+     * keep the centre and scale of the fit they were built for; the fitted
+     * polynomial is the same in any basis, which only affects conditioning.
+     * 
+     * The sums are rebuilt from scratch when the configuration changed, when
+     * more than half the points changed, and after as many points have been
+     * removed as the series holds, so rounding errors from removals cannot
+     * build up. Returns null, leaving the fit to fitRobustTrend(), for trend
+     * models other than plain polynomials and with `robustFit`, whose
+     * weights change on every fit.
      * 
      * @private
-     * @param {Object} range - Chart range object
+     * @param {Object} series - Series being fitted
+     * @param {Array<Object>} points - Points to fit
+     * @returns {Object|null} Fitted model, or null if it cannot be updated incrementally
      */
-    renderSpots(range) {
-        const plotArea = this.container.querySelector('.price-chart__plot-area');
-        plotArea.innerHTML = '<svg class="price-chart__trend-line"></svg>';
-        const svg = plotArea.querySelector('.price-chart__trend-line');
-        svg.setAttribute('width', '100%');
-        svg.setAttribute('height', '100%');
-        
-        const xAxisTop = parseFloat(this.container.querySelector('.price-chart__x-axis').style.top);
-        const plotAreaRect = plotArea.getBoundingClientRect();
-        
-        this.pricePoints.forEach(point => {
-            const spot = document.createElementNS('http://www.w3.org/2000/svg', 'circle');
-            const spotX = ((point.mileage - range.minMileage) / (range.maxMileage - range.minMileage)) * 100;
-            const spotY = 100 - (point.price / range.maxPrice) * 100;
-            spot.setAttribute('cx', `${spotX}%`);
-            spot.setAttribute('cy', `${spotY}%`);
-            spot.setAttribute('r', this.config.SPOT_RADIUS);
-            spot.setAttribute('fill', this.config.SPOT_COLOR);
-            spot.setAttribute('class', 'price-chart__spot');
-            spot.setAttribute('data-mileage', point.mileage);
-            spot.setAttribute('data-price', point.price);
-            svg.appendChild(spot);
+    fitIncrementalTrend(series, points) {
+        const model = this.config.trendModel;
+        const { type, degree = 2 } = typeof model === 'string' ? { type: model } : (typeof model === 'function' ? {} : model);
+        if (type !== 'polynomial' || this.config.robustFit) {
+            this.regressions.delete(series.id);
+            return null;
+        }
 
-            if (point.mileage === this.currentPoint.mileage && point.price === this.currentPoint.price) {
-                this.renderSelectedSpot(svg, spotX, spotY, xAxisTop, plotAreaRect);
+        const xValues = points.map(p => this.getX(p));
+        const effectiveDegree = Math.max(0, Math.min(degree, new Set(xValues).size - 1));
+        let state = this.regressions.get(series.id);
+        let added = points;
+        let removed = [];
+        if (state && state.config === this.config && state.sums.degree === effectiveDegree) {
+            const current = new Set(points);
+            added = points.filter(p => !state.points.has(p));
+            removed = [...state.points].filter(p => !current.has(p));
+            if (added.length + removed.length > points.length / 2 || state.removed + removed.length > points.length) {
+                state = null;
+                added = points;
+                removed = [];
             }
-        });
+        } else {
+            state = null;
+        }
+
+        if (!state) {
+            state = {
+                config: this.config,
+                center: d3.mean(xValues),
+                scale: d3.deviation(xValues) || 1,
+                sums: this.createRegressionSums(effectiveDegree),
+                points: new Set(),
+                removed: 0
+            };
+            this.regressions.set(series.id, state);
+        }
 
-        this.addTooltipListeners(svg);
+        const { center, scale, sums } = state;
+        const scaled = list => list.map(p => (this.getX(p) - center) / scale);
+        this.accumulateRegressionSums(sums, scaled(added), added.map(p => p.price));
+        this.accumulateRegressionSums(sums, scaled(removed), removed.map(p => p.price), null, -1);
+        added.forEach(p => state.points.add(p));
+        removed.forEach(p => state.points.delete(p));
+        state.removed += removed.length;
+
+        const coefficients = this.solveRegressionSums(sums);
+        return {
+            type: 'polynomial',
+            coefficients,
+            center,
+            scale,
+            predict: x => this.polynomialFunction(coefficients, (x - center) / scale)
+        };
     }
 
     /**
-     * Renders the selected spot with additional visual elements.
+     * Fits the trend model and, with `robustFit`, refits it a few times with
+     * Tukey bisquare weights on the residuals (scaled by six times their
+     * median absolute value), so outliers pull the curve much less.
      * 
      * @private
-     * @param {SVGElement} svg - The SVG element
-     * @param {number} spotX - X position of the spot
-     * @param {number} spotY - Y position of the spot
-     * @param {number} xAxisTop - Top position of X-axis
-     * @param {DOMRect} plotAreaRect - Bounding rectangle of plot area
+     * @param {Array<number>} xValues - X values
+     * @param {Array<number>} yValues - Y values
+     * @returns {Object} Fitted model
      */
-    renderSelectedSpot(svg, spotX, spotY, xAxisTop, plotAreaRect) {
-        if (!this.spotSvg) {
-            console.error('Spot SVG not found');
-            return;
+    fitRobustTrend(xValues, yValues) {
+        let trend = this.fitTrendModel(xValues, yValues);
+        if (!this.config.robustFit) {
+            return trend;
         }
 
-        const verticalLine = document.createElementNS('http://www.w3.org/2000/svg', 'line');
-        verticalLine.setAttribute('x1', `${spotX}%`);
-        verticalLine.setAttribute('y1', `${spotY}%`);
-        verticalLine.setAttribute('x2', `${spotX}%`);
-        verticalLine.setAttribute('y2', `${(xAxisTop / plotAreaRect.height) * 100}%`);
-        verticalLine.setAttribute('stroke', this.config.SELECTED_SPOT_COLOR);
-        verticalLine.setAttribute('stroke-width', '1');
-        verticalLine.setAttribute('stroke-dasharray', '2,2');
-        svg.appendChild(verticalLine);
-
-        const currentSpot = this.spotSvg.cloneNode(true);
-        currentSpot.style.display = 'block';
-        currentSpot.removeAttribute('id');
-
-        const spotWidth = parseFloat(currentSpot.getAttribute('width') || 28);
-        const spotHeight = parseFloat(currentSpot.getAttribute('height') || 42);
-
-        const spotSvgX = spotX - (spotWidth / (2 * plotAreaRect.width) * 100);
-        const spotSvgY = spotY - (spotHeight / plotAreaRect.height * 100);
-
-        currentSpot.setAttribute('x', `${spotSvgX}%`);
-        currentSpot.setAttribute('y', `${spotSvgY}%`);
-        currentSpot.removeAttribute('transform');
-
-        svg.appendChild(currentSpot);
-
-        const animatedCircle = document.createElementNS('http://www.w3.org/2000/svg', 'circle');
-        animatedCircle.setAttribute('cx', `${spotX}%`);
-        animatedCircle.setAttribute('cy', `${spotY}%`);
-        animatedCircle.setAttribute('r', '10');
-        animatedCircle.setAttribute('fill', this.config.SELECTED_SPOT_COLOR);
-        animatedCircle.setAttribute('opacity', '0.5');
-        svg.appendChild(animatedCircle);
-
-        const animate = document.createElementNS('http://www.w3.org/2000/svg', 'animate');
-        animate.setAttribute('attributeName', 'r');
-        animate.setAttribute('from', '10');
-        animate.setAttribute('to', '30');
-        animate.setAttribute('dur', `${this.config.ANIMATION_DURATION}s`);
-        animate.setAttribute('repeatCount', 'indefinite');
-        animatedCircle.appendChild(animate);
-
-        const animateOpacity = document.createElementNS('http://www.w3.org/2000/svg', 'animate');
-        animateOpacity.setAttribute('attributeName', 'opacity');
-        animateOpacity.setAttribute('from', '0.5');
-        animateOpacity.setAttribute('to', '0');
-        animateOpacity.setAttribute('dur', `${this.config.ANIMATION_DURATION}s`);
-        animateOpacity.setAttribute('repeatCount', 'indefinite');
-        animatedCircle.appendChild(animateOpacity);
-
-        const mileageText = document.createElementNS('http://www.w3.org/2000/svg', 'text');
-        mileageText.setAttribute('x', `${spotX}%`);
-        mileageText.setAttribute('y', `${(xAxisTop / plotAreaRect.height) * 100 + 5}%`);
-        mileageText.setAttribute('text-anchor', 'middle');
-        mileageText.setAttribute('fill', this.config.SELECTED_SPOT_COLOR);
-        mileageText.setAttribute('font-weight', 'bold');
-        mileageText.setAttribute('font-size', '22px');
-        mileageText.textContent = `${this.config.tooltipMileageFormat(this.currentPoint.mileage)}${this.config.xAxisUnit}`;
-        svg.appendChild(mileageText);
-
-        const group = document.createElementNS('http://www.w3.org/2000/svg', 'g');
-        group.appendChild(verticalLine);
-        group.appendChild(animatedCircle);
-        group.appendChild(mileageText);
-        group.appendChild(currentSpot);
-        svg.appendChild(group);
+        for (let iteration = 0; iteration < 3; iteration++) {
+            const residuals = xValues.map((x, i) => yValues[i] - trend.predict(x));
+            const scale = 6 * d3.median(residuals, r => Math.abs(r));
+            if (!scale) {
+                break;
+            }
+            const weights = residuals.map(r => {
+                const u = r / scale;
+                return Math.abs(u) < 1 ? Math.pow(1 - u * u, 2) : 0;
+            });
+            trend = this.fitTrendModel(xValues, yValues, weights);
+        }
+        return trend;
     }
 
     /**
-     * Adds tooltip listeners to the spots on the chart.
+     * Fits a polynomial of the given degree. X values are centered and scaled
+     * to unit standard deviation first, so the normal equations stay well
+     * conditioned for large mileages and high degrees.
      * 
      * @private
-     * @param {SVGElement} svg - The SVG element containing the spots
+     * @param {Array<number>} xValues - X values
+     * @param {Array<number>} yValues - Y values
+     * @param {number} degree - Degree of polynomial
+     * @param {Array<number>} [weights] - Per-point weights
+     * @returns {Object} Fitted model with `coefficients`, `center` and `scale` of the scaled fit
      */
-    addTooltipListeners(svg) {
-        const spots = svg.querySelectorAll('.price-chart__spot');
-        let tooltip = this.container.querySelector('.price-chart__tooltip');
-        if (!tooltip) {
-            tooltip = document.createElement('div');
-            tooltip.className = 'price-chart__tooltip';
-            this.container.appendChild(tooltip);
-        }
+    fitPolynomial(xValues, yValues, degree, weights) {
+        const center = d3.mean(xValues);
+        const scale = d3.deviation(xValues) || 1;
+        const distinct = new Set(xValues).size;
+        const effectiveDegree = Math.max(0, Math.min(degree, distinct - 1));
 
-        spots.forEach(spot => {
-            spot.addEventListener('mouseenter', (e) => {
-                const mileage = parseFloat(spot.getAttribute('data-mileage'));
-                const price = parseFloat(spot.getAttribute('data-price'));
-                tooltip.innerHTML = `
-                    <div class="price-chart__tooltip-content">
-                        <div class="price-chart__tooltip-price">${this.formatNumber(this.config.tooltipPriceFormat(price))}${this.config.yAxisUnit}</div>
-                        <div class="price-chart__tooltip-mileage">${this.config.tooltipMileageFormat(mileage)}${this.config.xAxisUnit}</div>
-                    </div>
-                    <div class="price-chart__tooltip-arrow"></div>
-                `;
-                const rect = spot.getBoundingClientRect();
-                const containerRect = this.container.getBoundingClientRect();
-                tooltip.style.left = `${rect.left - containerRect.left + rect.width / 2}px`;
-                tooltip.style.top = `${rect.top - containerRect.top - tooltip.offsetHeight - 10}px`;
-                tooltip.style.display = 'block';
-            });
+        const scaled = xValues.map(x => (x - center) / scale);
+        const coefficients = this.calculatePolynomialRegression(scaled, yValues, effectiveDegree, weights);
 
-            spot.addEventListener('mouseleave', () => {
-                tooltip.style.display = 'none';
-            });
-        });
+        return {
+            type: 'polynomial',
+            coefficients,
+            center,
+            scale,
+            predict: x => this.polynomialFunction(coefficients, (x - center) / scale)
+        };
     }
 
     /**
-     * Renders the trend line on the chart.
+     * Fits a LOESS (locally weighted linear regression) smoother. Each
+     * prediction fits a line to the nearest `bandwidth` fraction of points,
+     * weighted by the tricube of their distance. Above 1000 points, local fits
+     * are computed on a grid across the data and linearly interpolated, so
+     * predicting every point (for residuals) stays linear in the point count.
      * 
      * @private
-     * @param {Object} range - Chart range object
+     * @param {Array<number>} xValues - X values
+     * @param {Array<number>} yValues - Y values
+     * @param {number} bandwidth - Fraction of points used for each local fit (0-1]
+     * @param {Array<number>} [weights] - Per-point weights, multiplied into the tricube weights
+     * @returns {Object} Fitted model
      */
-    renderTrendLine(range) {
-        const svg = this.container.querySelector('.price-chart__trend-line');
-        const width = svg.clientWidth;
-        const height = svg.clientHeight;
+    fitLoess(xValues, yValues, bandwidth, weights) {
+        const n = xValues.length;
+        const neighbours = Math.min(n, Math.max(3, Math.ceil(bandwidth * n)));
 
-        const xValues = this.pricePoints.map(p => p.mileage);
-        const yValues = this.pricePoints.map(p => p.price);
-        
-        const coefficients = this.calculatePolynomialRegression(xValues, yValues, 2);
+        // With the points sorted by x, the nearest neighbours of any x form a
+        // contiguous window that can be grown outwards from its insertion point.
+        const order = d3.range(n).sort((a, b) => xValues[a] - xValues[b]);
+        const xs = order.map(i => xValues[i]);
+        const ys = order.map(i => yValues[i]);
+        const ws = order.map(i => (weights ? weights[i] : 1));
 
-        const xScale = d3.scaleLinear()
-            .domain([range.minMileage, range.maxMileage])
-            .range([0, width]);
+        const fitAt = (x) => {
+            let left = d3.bisectLeft(xs, x);
+            let right = left;
+            while (right - left < neighbours) {
+                if (right === n || (left > 0 && x - xs[left - 1] <= xs[right] - x)) {
+                    left--;
+                } else {
+                    right++;
+                }
+            }
+            const maxDistance = Math.max(x - xs[left], xs[right - 1] - x) || 1;
 
-        const yScale = d3.scaleLinear()
-            .domain([0, range.maxPrice])
-            .range([height, 0]);
+            let sumW = 0, sumX = 0, sumY = 0, sumXX = 0, sumXY = 0;
+            for (let i = left; i < right; i++) {
+                const u = Math.min(Math.abs(xs[i] - x) / maxDistance, 1);
+                const w = Math.pow(1 - u * u * u, 3) * ws[i] || 1e-12;
+                const dx = xs[i] - x;
+                sumW += w;
+                sumX += w * dx;
+                sumY += w * ys[i];
+                sumXX += w * dx * dx;
+                sumXY += w * dx * ys[i];
+            }
 
-        const line = d3.line()
-            .x(d => xScale(d))
-            .y(d => yScale(this.polynomialFunction(coefficients, d)))
-            .curve(d3.curveBasis);
+            // Weighted least squares on x relative to the prediction point,
+            // so the intercept is the prediction itself.
+            const denominator = sumW * sumXX - sumX * sumX;
+            if (Math.abs(denominator) < 1e-12) {
+                return sumY / sumW;
+            }
+            return (sumXX * sumY - sumX * sumXY) / denominator;
+        };
 
-        const trendLinePoints = d3.range(range.minMileage, range.maxMileage, (range.maxMileage - range.minMileage) / 100);
+        if (n <= 1000) {
+            return { type: 'loess', bandwidth, predict: fitAt };
+        }
 
-        const path = document.createElementNS('http://www.w3.org/2000/svg', 'path');
-        path.setAttribute('d', line(trendLinePoints));
-        path.setAttribute('fill', 'none');
-        path.setAttribute('stroke', this.config.TREND_LINE_COLOR);
-        path.setAttribute('stroke-width', this.config.TREND_LINE_WIDTH);
-        svg.appendChild(path);
+        const [min, max] = d3.extent(xValues);
+        const grid = d3.range(201).map(i => min + (max - min) * i / 200);
+        const gridValues = grid.map(fitAt);
+        const predict = (x) => {
+            if (!(x >= min && x <= max) || max === min) {
+                return fitAt(x);
+            }
+            const position = (x - min) / (max - min) * 200;
+            const i = Math.min(199, Math.floor(position));
+            return gridValues[i] + (gridValues[i + 1] - gridValues[i]) * (position - i);
+        };
+        return { type: 'loess', bandwidth, predict };
+    }
+
+    /**
+     * Fits an exponential depreciation curve `price = a * exp(-rate * x)` by
+     * linear regression on the log of the price. Non-positive prices are ignored.
+     * 
+     * @private
+     * @param {Array<number>} xValues - X values
+     * @param {Array<number>} yValues - Y values
+     * @param {Array<number>} [weights] - Per-point weights
+     * @returns {Object} Fitted model with `initialValue` (a) and `rate`
+     */
+    fitExponential(xValues, yValues, weights) {
+        const positive = xValues
+            .map((x, i) => [x, yValues[i], weights ? weights[i] : 1])
+            .filter(([, y]) => y > 0);
+        const logFit = this.fitPolynomial(
+            positive.map(([x]) => x),
+            positive.map(([, y]) => Math.log(y)),
+            1,
+            positive.map(([, , w]) => w)
+        );
+        const [c0, c1 = 0] = logFit.coefficients;
+        const rate = -c1 / logFit.scale;
+        const initialValue = Math.exp(c0 + rate * logFit.center);
+
+        return {
+            type: 'exponential',
+            initialValue,
+            rate,
+            predict: x => initialValue * Math.exp(-rate * x)
+        };
     }
 
     /**
@@ -455,21 +3920,63 @@ class PriceChart {
      * @param {Array<number>} xValues - X values
      * @param {Array<number>} yValues - Y values
      * @param {number} degree - Degree of polynomial
+     * @param {Array<number>} [weights] - Per-point weights for weighted least squares
      * @returns {Array<number>} Coefficients of polynomial
      */
-    calculatePolynomialRegression(xValues, yValues, degree) {
-        const n = xValues.length;
-        const matrix = Array(degree + 1).fill().map(() => Array(degree + 1).fill(0));
-        const vector = Array(degree + 1).fill(0);
+    calculatePolynomialRegression(xValues, yValues, degree, weights) {
+        const sums = this.createRegressionSums(degree);
+        this.accumulateRegressionSums(sums, xValues, yValues, weights);
+        return this.solveRegressionSums(sums);
+    }
+
+    /**
+     * Creates empty normal-equation sums for a polynomial fit: the weighted
+     * sums of x^k for k up to twice the degree, which fill the matrix, and of
+     * x^k * y for k up to the degree, which form the right-hand side.
+     * 
+     * @private
+     * @param {number} degree - Degree of polynomial
+     * @returns {{degree: number, powers: Array<number>, moments: Array<number>}} Sums
+     */
+    createRegressionSums(degree) {
+        return { degree, powers: Array(2 * degree + 1).fill(0), moments: Array(degree + 1).fill(0) };
+    }
 
-        for (let i = 0; i <= degree; i++) {
-            for (let j = 0; j <= degree; j++) {
-                matrix[i][j] = xValues.reduce((sum, x) => sum + Math.pow(x, i + j), 0);
+    /**
+     * Adds points to normal-equation sums, or removes them with a sign of -1.
+     * 
+     * @private
+     * @param {Object} sums - Sums from createRegressionSums()
+     * @param {Array<number>} xValues - X values
+     * @param {Array<number>} yValues - Y values
+     * @param {Array<number>} [weights] - Per-point weights; all 1 if omitted
+     * @param {number} [sign=1] - 1 to add the points, -1 to remove them
+     */
+    accumulateRegressionSums(sums, xValues, yValues, weights, sign = 1) {
+        const { degree, powers, moments } = sums;
+        xValues.forEach((x, k) => {
+            const weight = sign * (weights ? weights[k] : 1);
+            let power = 1;
+            for (let i = 0; i < powers.length; i++) {
+                powers[i] += weight * power;
+                if (i <= degree) {
+                    moments[i] += weight * power * yValues[k];
+                }
+                power *= x;
             }
-            vector[i] = xValues.reduce((sum, x, k) => sum + Math.pow(x, i) * yValues[k], 0);
-        }
+        });
+    }
 
-        return this.gaussianElimination(matrix, vector);
+    /**
+     * Solves normal-equation sums for the polynomial coefficients.
+     * 
+     * @private
+     * @param {Object} sums - Sums from createRegressionSums()
+     * @returns {Array<number>} Coefficients of polynomial
+     */
+    solveRegressionSums({ degree, powers, moments }) {
+        const matrix = d3.range(degree + 1).map(i => d3.range(degree + 1).map(j => powers[i + j]));
+        return this.gaussianElimination(matrix, moments.slice());
     }
 
     /**
@@ -543,47 +4050,231 @@ class PriceChart {
      * @private
      */
     updatePriceRange() {
-        const priceRange = this.container.querySelector('.price-chart__range');
-        const min = Math.min(...this.pricePoints.map(p => p.price));
-        const max = Math.max(...this.pricePoints.map(p => p.price));
-        priceRange.textContent = this.formatNumber(this.config.rangeFormat(min, max));
+        this.container.querySelector('.price-chart__range').textContent = this.getPriceRangeText();
+    }
+
+    /**
+     * Formats the header's price range. With `priceRangeSource: 'band'` the
+     * range is the trend band at the current point's mileage; otherwise it is
+     * the min and max of all visible points.
+     * 
+     * @private
+     * @returns {string} Formatted price range
+     */
+    getPriceRangeText() {
+        let min, max;
+        if (this.config.priceRangeSource === 'band' && this.trendBand && this.currentPoint) {
+            min = Math.max(0, this.trendBand.lower(this.getX(this.currentPoint)));
+            max = this.trendBand.upper(this.getX(this.currentPoint));
+        } else {
+            [min, max] = d3.extent(this.getVisiblePoints(), p => p.price);
+        }
+        return this.formatNumber(this.config.rangeFormat(min, max));
+    }
+
+    /**
+     * Shows the current vehicle's deal rating in the header and as a badge
+     * above the selected-spot marker when `showDealRating` is enabled.
+     * 
+     * @private
+     */
+    renderDealRating() {
+        const headerRating = this.container.querySelector('.price-chart__deal-rating');
+        const plotArea = this.container.querySelector('.price-chart__plot-area');
+        plotArea.querySelectorAll('.price-chart__deal-badge').forEach(badge => badge.remove());
+        headerRating.className = 'price-chart__deal-rating';
+        headerRating.textContent = '';
+
+        const result = this.config.showDealRating ? this.rateCurrentPoint() : null;
+        if (!result) {
+            return;
+        }
+
+        headerRating.classList.add(`price-chart__deal-rating--${result.rating}`);
+        headerRating.textContent = result.label;
+
+        const marker = plotArea.querySelector('.price-chart__selected-spot line');
+        if (!marker) {
+            return;
+        }
+        const badge = document.createElement('div');
+        badge.className = `price-chart__deal-badge price-chart__deal-badge--${result.rating}`;
+        badge.textContent = result.label;
+        badge.style.left = marker.getAttribute('x1');
+        badge.style.top = marker.getAttribute('y1');
+        plotArea.appendChild(badge);
+    }
+
+    /**
+     * Summarises the market the chart shows: the count, median and quartile
+     * prices of the visible points, the average depreciation along the trend
+     * of the current point's series, and where the current vehicle's price
+     * ranks among the visible points. These are the numbers in the
+     * statistics panel, before formatting.
+     * 
+     * `depreciation` is the price drop per unit of the X-axis (the units of
+     * estimatePrice()), averaged from the trend at the series' lowest to its
+     * highest mileage; it is null in time mode or when all points share one
+     * mileage. `percentile` is the share of visible points priced below the
+     * current vehicle, counting equal prices as half, from 0 (cheapest) to 100.
+     * 
+     * @public
+     * @returns {{count: number, medianPrice: number, p25Price: number, p75Price: number, depreciation: number|null, percentile: number|null}|null} Statistics, or null without visible points
+     */
+    getStatistics() {
+        const prices = this.pricePoints ? this.getVisiblePoints().map(p => p.price).sort(d3.ascending) : [];
+        if (prices.length === 0) {
+            return null;
+        }
+        if (!this.trend) {
+            this.updateTrend();
+        }
+
+        let depreciation = null;
+        const [minX, maxX] = d3.extent(this.getPrimarySeries().points, p => this.getX(p));
+        if (this.config.xAxisType !== 'time' && maxX > minX) {
+            depreciation = (this.trend.predict(minX) - this.trend.predict(maxX)) / (maxX - minX);
+        }
+
+        let percentile = null;
+        if (this.currentPoint) {
+            const price = this.currentPoint.price;
+            const below = d3.bisectLeft(prices, price);
+            const equal = d3.bisectRight(prices, price) - below;
+            percentile = ((below + equal / 2) / prices.length) * 100;
+        }
+
+        return {
+            count: prices.length,
+            medianPrice: d3.quantileSorted(prices, 0.5),
+            p25Price: d3.quantileSorted(prices, 0.25),
+            p75Price: d3.quantileSorted(prices, 0.75),
+            depreciation,
+            percentile
+        };
     }
 
     /**
-     * Formats a number with thousands separator.
+     * Fills the statistics panel under the graph when `showStatistics` is
+     * enabled, with getStatistics() formatted by the configured formatters.
+     * Depreciation is shown per single X-axis unit, e.g. "1만km".
      * 
      * @private
-     * @param {number} num - Number to format
-     * @returns {string} Formatted number
      */
-    formatNumber(num) {
-        return num.toString().replace(/\B(?=(\d{3})+(?!\d))/g, ",");
+    renderStatistics() {
+        const panel = this.container.querySelector('.price-chart__statistics');
+        const statistics = this.config.showStatistics ? this.getStatistics() : null;
+        if (!statistics) {
+            panel.innerHTML = '';
+            return;
+        }
+
+        const { config } = this;
+        const unit = config.yAxisUnit;
+        const price = value => `${this.formatNumber(config.tooltipPriceFormat(value))}${unit}`;
+        const labels = config.statisticsLabels;
+        const items = [
+            ['count', config.binCountLabel(statistics.count)],
+            ['median', price(statistics.medianPrice)],
+            ['quartiles', `${this.formatNumber(config.rangeFormat(statistics.p25Price, statistics.p75Price))}${unit}`],
+            ['depreciation', statistics.depreciation !== null && `${this.formatNumber(config.depreciationFormat(statistics.depreciation))}${unit} / ${config.xAxisFormat(1)}${config.xAxisUnit}`],
+            ['percentile', statistics.percentile !== null && `P${Math.round(statistics.percentile)}`]
+        ];
+        panel.innerHTML = items
+            .filter(([, value]) => value)
+            .map(([key, value]) => `
+                <div class="price-chart__statistic price-chart__statistic--${key}">
+                    <dt class="price-chart__statistic-label">${labels[key]}</dt>
+                    <dd class="price-chart__statistic-value">${value}</dd>
+                </div>
+            `)
+            .join('');
+    }
+
+    /**
+     * Adds thousands separators for the chart's `locale` (commas by default)
+     * to the output of a formatter. Numbers whose integer part has four or
+     * more digits are reformatted with `Intl.NumberFormat`, keeping their
+     * number of decimals; numbers a formatter already grouped are left as
+     * they are.
+     * 
+     * @private
+     * @param {number|string} value - Number, or formatter output containing numbers
+     * @returns {string} Formatted text
+     */
+    formatNumber(value) {
+        const locale = this.config.locale || 'en-US';
+        if (!this.numberFormats || this.numberFormats.locale !== locale) {
+            this.numberFormats = { locale, byDecimals: new Map() };
+        }
+        const { byDecimals } = this.numberFormats;
+        return String(value).replace(/\d[\d.,]*/g, token => {
+            const match = /^\d{4,}(?:\.(\d+))?$/.exec(token);
+            if (!match) {
+                return token;
+            }
+            const decimals = match[1] ? match[1].length : 0;
+            if (!byDecimals.has(decimals)) {
+                byDecimals.set(decimals, new Intl.NumberFormat(locale, { minimumFractionDigits: decimals, maximumFractionDigits: decimals }));
+            }
+            return byDecimals.get(decimals).format(Number(token));
+        });
     }
 
     /**
-     * Loads the SVG for the spot icon.
+     * Loads the SVG for the spot icon from `options.spotSvgUrl`, or builds the
+     * default pin marker when no URL is given.
      * 
      * @private
      * @returns {Promise<SVGElement>} Promise that resolves with the loaded SVG element
      */
     async loadSpotSVG() {
+        const { spotSvgUrl } = this.options;
+        if (!spotSvgUrl) {
+            return this.createDefaultSpot();
+        }
+
         try {
-            const response = await fetch('./../src/spot.svg');
+            const response = await fetch(spotSvgUrl);
+            if (!response.ok) {
+                throw new Error(`Failed to fetch "${spotSvgUrl}": ${response.status} ${response.statusText}`);
+            }
             const svgContent = await response.text();
             const parser = new DOMParser();
             const svgDoc = parser.parseFromString(svgContent, 'image/svg+xml');
             const spotElement = svgDoc.querySelector('svg');
             if (!spotElement) {
-                throw new Error('SVG element not found in spot.svg');
+                throw new Error(`SVG element not found in "${spotSvgUrl}"`);
             }
             spotElement.setAttribute('viewBox', '0 0 28 42');
             return spotElement;
         } catch (error) {
-            console.error('Error loading spot.svg:', error);
+            console.error('Error loading spot SVG:', error);
             return this.createFallbackSpot();
         }
     }
 
+    /**
+     * Creates the default pin-shaped spot icon (same shape as `src/spot.svg`).
+     * 
+     * @private
+     * @returns {SVGElement} Default spot SVG element
+     */
+    createDefaultSpot() {
+        const svg = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
+        svg.setAttribute('width', '28');
+        svg.setAttribute('height', '42');
+        svg.setAttribute('viewBox', '0 0 28 42');
+        svg.setAttribute('fill', 'none');
+
+        const path = document.createElementNS('http://www.w3.org/2000/svg', 'path');
+        path.setAttribute('d', PIN_PATH);
+        path.setAttribute('fill', 'currentColor');
+
+        svg.appendChild(path);
+        return svg;
+    }
+
     /**
      * Creates a fallback spot icon if the SVG fails to load.
      * 
@@ -600,22 +4291,11 @@ class PriceChart {
         circle.setAttribute('cx', '14');
         circle.setAttribute('cy', '21');
         circle.setAttribute('r', '14');
-        circle.setAttribute('fill', this.config.SELECTED_SPOT_COLOR);
+        circle.setAttribute('fill', 'currentColor');
         
         svg.appendChild(circle);
         return svg;
     }
 }
 
-/*
-// Initialize the chart when the DOM is fully loaded
-document.addEventListener('DOMContentLoaded', () => {
-    new PriceChart({
-        containerId: 'chart-container',
-        config: {
-            // Custom configuration options can be added here
-            // They will override the default configuration
-        }
-    });
-});
-*/
\ No newline at end of file
+export default PriceChart;
@@ -0,0 +1,18 @@
+/**
+ * The D3 functions the chart uses, imported from the D3 submodules so
+ * bundlers only include what is needed. chart.js imports this module as its
+ * `d3` namespace.
+ */
+export { ascending, bisectLeft, bisectRight, deviation, extent, groups, max, mean, median, quantile, quantileSorted, range, sum } from 'd3-array';
+export { brush, brushX } from 'd3-brush';
+export { color } from 'd3-color';
+export { easeCubicInOut } from 'd3-ease';
+export { interpolateRgb } from 'd3-interpolate';
+export { quadtree } from 'd3-quadtree';
+export { scaleLinear, scaleSequential, scaleTime } from 'd3-scale';
+export { select } from 'd3-selection';
+export { area, curveBasis, line } from 'd3-shape';
+export { zoom, zoomIdentity } from 'd3-zoom';
+
+// Adds selection.transition() and selection.interrupt().
+import 'd3-transition';
@@ -0,0 +1,197 @@
+import PriceChart from './chart.js';
+// Resolved to the stylesheet's text by the css-string plugin in rollup.config.js
+import styles from './styles.css';
+
+const text = value => value;
+const flag = value => value !== 'false';
+
+/**
+ * Attributes of `<price-chart>` that set configuration options, with the
+ * option each sets and how its value is read. Boolean attributes are on when
+ * present, unless set to "false".
+ */
+const CONFIG_ATTRIBUTES = {
+    'locale': ['locale', text],
+    'chart-title': ['title', text],
+    'model-name': ['modelName', text],
+    'display-mode': ['displayMode', text],
+    'theme': ['theme', text],
+    'mileage-unit': ['mileageUnit', text],
+    'mileage-scale': ['mileageScale', Number],
+    'trend-band': ['trendBand', flag],
+    'deal-rating': ['showDealRating', flag],
+    'statistics': ['showStatistics', flag],
+    'select-on-click': ['selectOnClick', flag],
+    'zoom': ['zoom', flag]
+};
+
+/**
+ * DOM event details for each chart event, built from the handler arguments
+ * listed in `PriceChart.EVENTS`.
+ */
+const EVENT_DETAILS = {
+    spotHover: (point, event, series) => ({ point, series }),
+    spotClick: (point, event, series) => ({ point, series }),
+    currentPointChange: (point, previousPoint) => ({ point, previousPoint }),
+    seriesToggle: (series, visible) => ({ series, visible }),
+    rangeSelect: (selection) => ({ selection }),
+    rendered: (chart) => ({ chart }),
+    error: (error) => ({ error })
+};
+
+const HOST_STYLES = `
+    :host {
+        display: block;
+    }
+
+    :host([hidden]) {
+        display: none;
+    }
+`;
+
+// Lets the module load where custom elements don't exist, e.g. in Node for
+// renderToSVGString().
+const BaseElement = typeof HTMLElement === 'undefined' ? class {} : HTMLElement;
+
+/**
+ * PriceChartElement - The `<price-chart>` custom element, for embedding the
+ * chart without writing JavaScript.
+ * 
+ * Data comes from the `data-src` URL or from a `<script type="application/json">`
+ * child in the documented data format; the inline data wins. Options are set
+ * with the attributes in CONFIG_ATTRIBUTES, or as JSON in the `config`
+ * attribute for everything else. The chart is drawn in a shadow root with its
+ * own copy of styles.css, so its class names don't reach the page's styles.
+ * 
+ * Chart events are dispatched on the element as DOM events with lowercase
+ * names (`spotclick`, `rangeselect`, ...) and the handler arguments in `detail`.
+ * 
+ * @class
+ */
+class PriceChartElement extends BaseElement {
+    /**
+     * Attributes that rebuild the chart when they change.
+     * 
+     * @static
+     * @type {Array<string>}
+     */
+    static get observedAttributes() {
+        return ['data-src', 'spot-src', 'config', ...Object.keys(CONFIG_ATTRIBUTES)];
+    }
+
+    constructor() {
+        super();
+        this.attachShadow({ mode: 'open' });
+        this.shadowRoot.innerHTML = `
+            <style>${styles}${HOST_STYLES}</style>
+            <div part="chart"></div>
+        `;
+
+        /**
+         * The chart drawn by the element, or null while disconnected.
+         * 
+         * @type {PriceChart|null}
+         */
+        this.chart = null;
+        this.isUpdateScheduled = false;
+    }
+
+    connectedCallback() {
+        this.scheduleUpdate();
+    }
+
+    disconnectedCallback() {
+        if (this.chart) {
+            this.chart.destroy();
+            this.chart = null;
+        }
+    }
+
+    attributeChangedCallback() {
+        if (this.isConnected) {
+            this.scheduleUpdate();
+        }
+    }
+
+    /**
+     * Rebuilds the chart once after a batch of attribute changes, e.g. when
+     * the parser sets every attribute in turn.
+     * 
+     * @private
+     */
+    scheduleUpdate() {
+        if (this.isUpdateScheduled) {
+            return;
+        }
+        this.isUpdateScheduled = true;
+        queueMicrotask(() => {
+            this.isUpdateScheduled = false;
+            if (this.isConnected) {
+                this.createChart();
+            }
+        });
+    }
+
+    /**
+     * Replaces the chart with one built from the current attributes and
+     * inline data, and forwards its events to the element.
+     * 
+     * @private
+     */
+    createChart() {
+        if (this.chart) {
+            this.chart.destroy();
+        }
+
+        const options = {
+            container: this.shadowRoot.querySelector('[part="chart"]'),
+            spotSvgUrl: this.getAttribute('spot-src') || undefined,
+            config: this.getConfig()
+        };
+        const inline = this.querySelector('script[type="application/json"]');
+        if (inline) {
+            options.dataProvider = async () => JSON.parse(inline.textContent);
+        } else {
+            options.dataUrl = this.getAttribute('data-src') || undefined;
+        }
+
+        this.chart = new PriceChart(options);
+        PriceChart.EVENTS.forEach(type => {
+            this.chart.on(type, (...args) => {
+                this.dispatchEvent(new CustomEvent(type.toLowerCase(), { detail: EVENT_DETAILS[type](...args), bubbles: true }));
+            });
+        });
+    }
+
+    /**
+     * Reads the chart configuration from the `config` attribute and the
+     * option attributes, which take precedence.
+     * 
+     * @private
+     * @returns {Object} Configuration options
+     */
+    getConfig() {
+        let config = {};
+        const json = this.getAttribute('config');
+        if (json) {
+            try {
+                config = JSON.parse(json);
+            } catch (error) {
+                console.error('Invalid config attribute on <price-chart>:', error);
+            }
+        }
+
+        Object.entries(CONFIG_ATTRIBUTES).forEach(([attribute, [key, read]]) => {
+            if (this.hasAttribute(attribute)) {
+                config[key] = read(this.getAttribute(attribute));
+            }
+        });
+        return config;
+    }
+}
+
+if (typeof customElements !== 'undefined' && !customElements.get('price-chart')) {
+    customElements.define('price-chart', PriceChartElement);
+}
+
+export default PriceChartElement;
@@ -0,0 +1,6 @@
+/**
+ * ES module entry: the PriceChart class and the `<price-chart>` custom
+ * element, which is registered on import in browsers.
+ */
+export { default, default as PriceChart } from './chart.js';
+export { default as PriceChartElement } from './element.js';
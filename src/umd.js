@@ -0,0 +1,8 @@
+/**
+ * UMD entry: exposes the PriceChart class itself as the `PriceChart` global,
+ * as before packaging, and registers the `<price-chart>` custom element.
+ */
+import PriceChart from './chart.js';
+import './element.js';
+
+export default PriceChart;
@@ -0,0 +1,357 @@
+// Type definitions for heydealer-price-chart
+
+/** A listing: its mileage (or date in time mode) and price. Extra fields are passed through to events. */
+export interface PricePoint {
+    mileage?: number;
+    date?: string | number | Date;
+    price: number;
+    [key: string]: unknown;
+}
+
+/** A named group of points drawn in its own colour with its own trend line. */
+export interface SeriesData {
+    id?: string | number;
+    name?: string;
+    color?: string;
+    pricePoints: PricePoint[];
+}
+
+/** Chart data: either `pricePoints` or `series`, and optionally the current vehicle. */
+export interface ChartData {
+    pricePoints?: PricePoint[];
+    series?: SeriesData[];
+    currentPoint?: PricePoint | null;
+}
+
+/** A series as the chart stores it, passed to event handlers. */
+export interface Series {
+    id: string;
+    name: string | null;
+    color: string | null;
+    pricePoints: PricePoint[];
+    points: PricePoint[];
+}
+
+export type TrendModelType = 'polynomial' | 'loess' | 'exponential';
+
+export type TrendModel =
+    | TrendModelType
+    | { type: 'polynomial'; degree?: number }
+    | { type: 'loess'; bandwidth?: number }
+    | { type: 'exponential' }
+    | ((xValues: number[], yValues: number[], weights: number[]) => ((x: number) => number) | { predict: (x: number) => number });
+
+export type TrendBand =
+    | boolean
+    | { type?: 'sigma'; width?: number }
+    | { type: 'quantile'; lower?: number; upper?: number };
+
+export type OutlierDetection =
+    | 'iqr'
+    | 'mad'
+    | { method: 'iqr'; k?: number; exclude?: boolean }
+    | { method: 'mad'; threshold?: number; exclude?: boolean };
+
+export type DealRating = 'great' | 'fair' | 'high';
+
+interface AnnotationBase {
+    label?: string;
+    /** CSS colour; defaults to the theme's `annotation` colour. */
+    color?: string;
+    /** SVG markup of an icon, drawn in place of the pin or before the label. */
+    icon?: string;
+}
+
+/** A labelled pin at a price and mileage (or date). */
+export interface PointAnnotation extends AnnotationBase {
+    type?: 'point';
+    mileage?: number;
+    date?: string | number | Date;
+    price: number;
+    [key: string]: unknown;
+}
+
+/** A horizontal reference line at a price. */
+export interface PriceAnnotation extends AnnotationBase {
+    type: 'price';
+    price: number;
+}
+
+/** A vertical reference line at a mileage (or date). */
+export interface MileageAnnotation extends AnnotationBase {
+    type: 'mileage';
+    mileage?: number;
+    date?: string | number | Date;
+    [key: string]: unknown;
+}
+
+export type Annotation = PointAnnotation | PriceAnnotation | MileageAnnotation;
+
+/** Colours of a theme, each applied as a `--price-chart-*` CSS custom property. */
+export interface ThemeColors {
+    background: string;
+    surface: string;
+    title: string;
+    text: string;
+    mutedText: string;
+    axisLabel: string;
+    grid: string;
+    border: string;
+    shadow: string;
+    focus: string;
+    accent: string;
+    spot: string;
+    selectedSpot: string;
+    trendLine: string;
+    trendBand: string;
+    outlier: string;
+    annotation: string;
+    error: string;
+    binLow: string;
+    binHigh: string;
+    great: string;
+    greatBackground: string;
+    fair: string;
+    fairBackground: string;
+    high: string;
+    highBackground: string;
+}
+
+/** A theme name ('auto' follows `prefers-color-scheme`), or colour overrides over a `base` theme. */
+export type Theme = 'auto' | 'light' | 'dark' | (string & {}) | ({ base?: string } & Partial<ThemeColors>);
+
+/** Configuration options. See the README for what each one does. */
+export interface PriceChartConfig {
+    SPOT_RADIUS: number;
+    /** @deprecated Use `theme: { spot }`. */
+    SPOT_COLOR?: string;
+    /** @deprecated Use `theme: { selectedSpot }`. */
+    SELECTED_SPOT_COLOR?: string;
+    /** @deprecated Use `theme: { trendLine }`. */
+    TREND_LINE_COLOR?: string;
+    TREND_LINE_WIDTH: number;
+    /** @deprecated Use `theme: { trendBand }`. */
+    TREND_BAND_COLOR?: string;
+    SERIES_COLORS: string[];
+    SERIES_SPOT_OPACITY: number;
+    SERIES_BAND_OPACITY: number;
+    HIT_RADIUS: number;
+    /** @deprecated Use `theme: { outlier }`. */
+    OUTLIER_COLOR?: string;
+    BIN_SIZE: number;
+    /** @deprecated Use `theme: { binLow, binHigh }`. */
+    BIN_COLORS?: [string, string];
+    ANIMATION_DURATION: number;
+    TRANSITION_DURATION: number;
+    PLOT_PADDING_TOP: number;
+    PLOT_PADDING_RIGHT: number;
+    PLOT_PADDING_BOTTOM: number;
+    theme: Theme;
+    minPrice: number | null;
+    maxPrice: number | null;
+    minMileage: number | string | Date | null;
+    maxMileage: number | string | Date | null;
+    mileageSteps: Array<number | string | Date> | null;
+    priceTickCount: number;
+    mileageTickCount: number;
+    zeroBaseline: boolean;
+    locale: string | null;
+    mileageUnit: 'km' | 'mi' | null;
+    mileageScale: number;
+    displayMileageUnit: 'km' | 'mi';
+    displayMileageScale: number;
+    title: string;
+    modelName: string;
+    yAxisUnit: string;
+    xAxisUnit: string;
+    yAxisFormat: (value: number) => string;
+    xAxisFormat: (value: number) => string;
+    tooltipPriceFormat: (value: number) => string;
+    tooltipMileageFormat: (value: number) => string;
+    xAxisType: 'linear' | 'time';
+    xAccessor: ((point: PricePoint) => number | string | Date) | null;
+    dateLocale: string | undefined;
+    xAxisDateFormat: ((date: Date, locale?: string) => string) | null;
+    tooltipDateFormat: (date: Date, locale?: string) => string;
+    rangeFormat: (min: number, max: number) => string;
+    /** Formats the statistics panel's depreciation per X-axis unit; keeps decimals so small rates don't round to 0. */
+    depreciationFormat: (value: number) => string;
+    errorMessage: string;
+    emptyMessage: string;
+    selectOnClick: boolean;
+    displayMode: 'scatter' | 'hexbin' | 'heatmap';
+    binCountLabel: (count: number) => string;
+    binMedianLabel: string;
+    renderer: 'auto' | 'svg' | 'canvas';
+    canvasThreshold: number;
+    maxPoints: number | null;
+    liveRenderInterval: number;
+    brush: 'x' | 'xy' | null;
+    zoom: boolean;
+    zoomExtent: [number, number];
+    resetZoomLabel: string;
+    trendModel: TrendModel;
+    robustFit: boolean;
+    outlierDetection: OutlierDetection | null;
+    outlierLabel: string;
+    dataTableLabels: { series: string; price: string; mileage: string; date: string };
+    trendBand: TrendBand | null;
+    priceRangeSource: 'data' | 'band';
+    showDealRating: boolean;
+    dealRatingLabels: Record<DealRating, string>;
+    showStatistics: boolean;
+    statisticsLabels: Record<'count' | 'median' | 'quartiles' | 'depreciation' | 'percentile', string>;
+    annotations: Annotation[];
+}
+
+/** Constructor options. Give either `containerId` or `container`, and one data source. */
+export interface PriceChartOptions {
+    containerId?: string;
+    container?: HTMLElement;
+    config?: Partial<PriceChartConfig>;
+    pricePoints?: PricePoint[];
+    series?: SeriesData[];
+    currentPoint?: PricePoint;
+    dataUrl?: string;
+    dataProvider?: () => Promise<ChartData>;
+    spotSvgUrl?: string;
+}
+
+export interface Selection {
+    x: Array<number | Date>;
+    price: number[] | null;
+    points: PricePoint[];
+    count: number;
+    medianPrice: number | undefined;
+    minPrice: number | undefined;
+    maxPrice: number | undefined;
+}
+
+export interface PriceEstimate {
+    mileage: number;
+    price: number;
+    lower: number;
+    upper: number;
+}
+
+export interface DealRatingResult {
+    rating: DealRating;
+    label: string;
+    residual: number;
+    estimate: PriceEstimate;
+}
+
+/** Market statistics, as shown in the statistics panel. */
+export interface Statistics {
+    count: number;
+    medianPrice: number;
+    p25Price: number;
+    p75Price: number;
+    /** Price drop per X-axis unit along the trend; null in time mode. */
+    depreciation: number | null;
+    /** Percentile rank (0-100) of the current vehicle's price; null without one. */
+    percentile: number | null;
+}
+
+export interface Outlier {
+    point: PricePoint;
+    series: string;
+    method: 'iqr' | 'mad';
+    score: number;
+}
+
+export interface RejectedPoint {
+    point: unknown;
+    series: string;
+    reason: string;
+}
+
+/** Handler arguments for each event type. */
+export interface PriceChartEvents {
+    spotHover: (point: PricePoint | null, event: Event, series?: Series) => void;
+    spotClick: (point: PricePoint, event: Event, series: Series) => void;
+    currentPointChange: (point: PricePoint | null, previousPoint: PricePoint | null) => void;
+    seriesToggle: (series: Series, visible: boolean) => void;
+    rangeSelect: (selection: Selection | null) => void;
+    rendered: (chart: PriceChart) => void;
+    error: (error: unknown) => void;
+}
+
+export type PriceChartEventType = keyof PriceChartEvents;
+
+export declare class PriceChart {
+    static DEFAULT_CONFIG: PriceChartConfig;
+    /** Locale presets: config overrides plus the divisor that turns prices into `yAxisUnit`. */
+    static LOCALES: Record<string, Partial<PriceChartConfig> & { priceDivisor: number }>;
+    static KM_PER_UNIT: Record<'km' | 'mi', number>;
+    static LAYOUT: Record<string, number>;
+    static EVENTS: PriceChartEventType[];
+    static THEMES: Record<string, ThemeColors>;
+
+    /** Renders a static chart to an SVG string without a browser DOM. */
+    static renderToSVGString(data: ChartData, config?: Partial<PriceChartConfig>, size?: { width?: number; height?: number }): string;
+
+    constructor(options: PriceChartOptions);
+
+    /** Resolves once the data has loaded and the first render has finished. */
+    readonly ready: Promise<void>;
+    readonly config: PriceChartConfig;
+    readonly container: HTMLElement;
+
+    setData(data: ChartData): void;
+    /** Appends points to a series (the first by default) and re-renders, throttled. */
+    addPoints(points: PricePoint | PricePoint[], options?: { series?: string | number }): void;
+    toggleSeries(id: string | number, visible?: boolean): void;
+    setCurrentPoint(point: PricePoint | null): void;
+    setAnnotations(annotations: Annotation[]): void;
+    setSelection(selection: { x: Array<number | string | Date>; price?: number[] } | null): void;
+    getSelection(): Selection | null;
+    resetZoom(): void;
+    on<T extends PriceChartEventType>(type: T, handler: PriceChartEvents[T]): this;
+    off<T extends PriceChartEventType>(type: T, handler: PriceChartEvents[T]): this;
+    updateConfig(config: Partial<PriceChartConfig>): void;
+    setTheme(theme: Theme): void;
+    getTheme(): { name: string; colors: ThemeColors };
+    exportSVG(): string;
+    exportPNG(options?: { scale?: number }): Promise<Blob>;
+    exportCSV(): string;
+    destroy(): void;
+    getOutliers(): Outlier[];
+    getRejectedPoints(): RejectedPoint[];
+    render(options?: { animate?: boolean; refit?: boolean }): void;
+    estimatePrice(mileage: number | string | Date): PriceEstimate | null;
+    rateCurrentPoint(): DealRatingResult | null;
+    getStatistics(): Statistics | null;
+}
+
+/** `detail` of the DOM events dispatched by `<price-chart>`. */
+export interface PriceChartElementEventMap {
+    spothover: CustomEvent<{ point: PricePoint | null; series?: Series }>;
+    spotclick: CustomEvent<{ point: PricePoint; series: Series }>;
+    currentpointchange: CustomEvent<{ point: PricePoint | null; previousPoint: PricePoint | null }>;
+    seriestoggle: CustomEvent<{ series: Series; visible: boolean }>;
+    rangeselect: CustomEvent<{ selection: Selection | null }>;
+    rendered: CustomEvent<{ chart: PriceChart }>;
+    error: CustomEvent<{ error: unknown }>;
+}
+
+/** The `<price-chart>` custom element. */
+export declare class PriceChartElement extends HTMLElement {
+    static readonly observedAttributes: string[];
+
+    /** The chart drawn by the element, or null while disconnected. */
+    readonly chart: PriceChart | null;
+
+    addEventListener<K extends keyof PriceChartElementEventMap>(type: K, listener: (this: PriceChartElement, event: PriceChartElementEventMap[K]) => void, options?: boolean | AddEventListenerOptions): void;
+    addEventListener(type: string, listener: EventListenerOrEventListenerObject, options?: boolean | AddEventListenerOptions): void;
+    removeEventListener<K extends keyof PriceChartElementEventMap>(type: K, listener: (this: PriceChartElement, event: PriceChartElementEventMap[K]) => void, options?: boolean | EventListenerOptions): void;
+    removeEventListener(type: string, listener: EventListenerOrEventListenerObject, options?: boolean | EventListenerOptions): void;
+}
+
+declare global {
+    interface HTMLElementTagNameMap {
+        'price-chart': PriceChartElement;
+    }
+}
+
+export default PriceChart;